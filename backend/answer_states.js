@@ -0,0 +1,71 @@
+// Answer states for slots that were asked but have no value.
+//
+// A slot can be unanswered (undefined in filledSlots) or hold one of these
+// markers instead of a value:
+//   { "answer_state": "declined" }  the patient chose not to answer
+//   { "answer_state": "unknown" }   the patient does not know the answer
+//   { "answer_state": "skipped" }   skipped after repeated failed attempts
+//   { "answer_state": "pending", "raw": "..." }  answered while the model was
+//                                   unavailable; `raw` is extracted once it is back
+// A skipped marker may carry a `reason`; "not_applicable" means context-aware
+// mode passed over an optional question that earlier answers made irrelevant,
+// and "deferred" that the patient will answer it later (see navigation.js).
+// Markers count as answered, so the interview moves on, but they are never
+// treated as data: the review lists them separately and the summary reports
+// them as such.
+const ANSWER_STATES = {
+  declined: 'Patient declined to answer',
+  unknown: 'Patient does not know',
+  skipped: 'Skipped (could not be captured)',
+  pending: 'Saved, not processed yet'
+};
+
+const DECLINED_PATTERN = /^(i'?d )?(rather not|prefer not)|\b(decline|don'?t want to (say|answer|share)|not comfortable (saying|answering|sharing)|none of your business)\b/i;
+// Only a response that is nothing but a don't-know counts: "not sure, maybe 2019"
+// carries an answer
+const UNKNOWN_PATTERN = /^((i )?(really |honestly )?((don'?t|do not) (know|remember|recall)|can'?t (remember|recall)|forget)( (it|that|sorry))*|(i'?m )?(really )?(not sure|unsure)( sorry)?|no idea( sorry)?|unknown)$/i;
+
+const SKIP_REASONS = {
+  not_applicable: 'Not asked (not applicable based on earlier answers)',
+  deferred: 'Deferred (patient will answer later)'
+};
+
+function makeAnswerState(state, reason = null) {
+  return reason ? { answer_state: state, reason } : { answer_state: state };
+}
+
+// The answer state a stored value represents, or null for real values
+function getAnswerState(value) {
+  if (value && typeof value === 'object' && ANSWER_STATES[value.answer_state]) {
+    return value.answer_state;
+  }
+  return null;
+}
+
+function isAnswerState(value) {
+  return getAnswerState(value) !== null;
+}
+
+// Recognise "I'd rather not say" / "I don't know" style responses
+function detectAnswerState(response) {
+  const text = String(response || '').trim();
+  if (DECLINED_PATTERN.test(text)) return 'declined';
+  if (UNKNOWN_PATTERN.test(text.replace(/[.,!?]+/g, ' ').replace(/\s+/g, ' ').trim())) return 'unknown';
+  return null;
+}
+
+function describeAnswerState(value) {
+  const state = getAnswerState(value);
+  if (state === 'skipped' && SKIP_REASONS[value.reason]) return SKIP_REASONS[value.reason];
+  if (state === 'pending') return `${ANSWER_STATES.pending}: "${value.raw}"`;
+  return ANSWER_STATES[state] || null;
+}
+
+module.exports = {
+  ANSWER_STATES,
+  makeAnswerState,
+  getAnswerState,
+  isAnswerState,
+  detectAnswerState,
+  describeAnswerState
+};
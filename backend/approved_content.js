@@ -0,0 +1,80 @@
+const { getSlotConfig } = require('./slot_schema');
+const { searchKnowledgeBase } = require('./knowledge_base');
+
+// Clinic-approved content the assistant may use to answer patient questions:
+// the `help` text questionnaire authors attach to slots (what the question
+// means, what to count, why it is asked) and the indexed EngagedMD video
+// scripts (knowledge_base.js). Nothing else is ever used as a source.
+//
+// An excerpt is { source, text, ... }; `source` names where it came from so the
+// patient can see what an answer is based on.
+
+// Script chunks less similar than this to the question are not used; when none
+// is left the patient is referred to their care team instead of getting an answer
+const MIN_RETRIEVAL_SCORE = Number(process.env.MIN_RETRIEVAL_SCORE) || 0.4;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'you', 'how', 'why', 'can', 'was', 'not', 'did', 'any', 'its', 'who',
+  'about', 'after', 'does', 'have', 'that', 'this', 'what', 'when', 'where',
+  'which', 'with', 'your', 'mean', 'means', 'count', 'counts', 'should', 'would',
+  'could', 'there', 'they', 'them', 'from', 'into', 'just', 'like', 'need'
+]);
+
+function getKeywords(text) {
+  return new Set(
+    String(text || '').toLowerCase().match(/[a-z0-9]{3,}/g)?.filter(word => !STOP_WORDS.has(word)) || []
+  );
+}
+
+function makeSlotExcerpt(slotName, schema) {
+  const slotConfig = getSlotConfig(slotName, schema);
+  return {
+    source: `${schema.title}: ${slotConfig.label || slotConfig.question.replace(/\s*\([^()]*\)$/, '')}`,
+    text: slotConfig.help
+  };
+}
+
+// Video script excerpts for a question, best first, above MIN_RETRIEVAL_SCORE
+async function searchApprovedScripts(question, limit = 4) {
+  const results = await searchKnowledgeBase(question, { limit, kinds: ['script'] });
+  return results
+    .filter(result => result.score >= MIN_RETRIEVAL_SCORE)
+    .map(result => ({
+      source: `${result.title}, page ${result.page}`,
+      text: result.text,
+      title: result.title,
+      page: result.page,
+      kind: result.kind,
+      score: Number(result.score.toFixed(3))
+    }));
+}
+
+// Excerpts relevant to a patient question asked while `currentSlot` was pending:
+// the current slot's help first, then other slots' help sharing words with the
+// question, then matching video script excerpts
+async function getApprovedExcerpts(patientQuestion, currentSlot, schema, limit = 3) {
+  const excerpts = [];
+  if (getSlotConfig(currentSlot, schema)?.help) excerpts.push(makeSlotExcerpt(currentSlot, schema));
+
+  const keywords = getKeywords(patientQuestion);
+  const related = Object.entries(schema.slots)
+    .filter(([slotName, slotConfig]) => slotName !== currentSlot && slotConfig.help)
+    .map(([slotName, slotConfig]) => {
+      const slotWords = getKeywords(`${slotConfig.question} ${slotConfig.label || ''} ${slotConfig.help}`);
+      return { slotName, matches: [...keywords].filter(word => slotWords.has(word)).length };
+    })
+    .filter(({ matches }) => matches > 0)
+    .sort((a, b) => b.matches - a.matches);
+
+  for (const { slotName } of related) {
+    if (excerpts.length >= limit) break;
+    excerpts.push(makeSlotExcerpt(slotName, schema));
+  }
+  return [...excerpts, ...await searchApprovedScripts(patientQuestion, limit)];
+}
+
+module.exports = {
+  MIN_RETRIEVAL_SCORE,
+  searchApprovedScripts,
+  getApprovedExcerpts
+};
@@ -0,0 +1,122 @@
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { getSystemPrompt, loadPromptFile } = require('../prompts');
+const { getChatModel } = require('../llm_provider');
+const { LLMUnavailableError } = require('../llm_resilience');
+
+// Said instead of an answer when no approved content covers the question
+const NO_ANSWER_MESSAGE = "I'm sorry, I can't answer that. I'm programmed to answer only when I'm fully confident, based on content approved by your clinic, and I don't have information on this. Please reach out to your physician or care team, who will be happy to help.";
+
+const questionAnswerPrompt = ChatPromptTemplate.fromMessages([
+  ["system", `{systemPrompt}
+
+Numbered excerpts from approved content:
+{excerpts}`],
+
+  ["human", `{interviewContext}Patient question: "{question}"
+
+Answer only the patient's question using the excerpts above.`]
+]);
+
+// Rewrite the latest patient question as a clear, self-contained question
+// (rewrite_prompt.txt), using the conversation so far for context. `history` is
+// [{ from: 'user' | 'bot', text }], oldest first. Falls back to the question as asked.
+async function rewriteQuestion(question, history = []) {
+  if (history.length === 0) return question;
+
+  const llm = getChatModel('rewrite', {
+    temperature: 0,
+    maxTokens: 200,
+    tags: ["production", "patient-question", "rewrite"]
+  });
+
+  const conversation = history
+    .slice(-6)
+    .map(message => `${message.from === 'user' ? 'Patient' : 'Assistant'}: ${message.text}`)
+    .join('\n');
+
+  try {
+    const response = await llm.invoke([
+      { role: "system", content: loadPromptFile('rewrite_prompt') },
+      { role: "user", content: `Conversation:\n${conversation}\n\nLatest question: ${question}` }
+    ]);
+    const rewritten = String(response.content).trim();
+
+    console.log('\nQuestion Rewrite:');
+    console.log('------------------');
+    console.log('Original:', question);
+    console.log('Rewritten:', rewritten);
+    console.log('------------------\n');
+
+    return rewritten || question;
+  } catch (error) {
+    if (error instanceof LLMUnavailableError) throw error;
+    console.error('Error rewriting question:', error);
+    return question;
+  }
+}
+
+// Numbered excerpt list for the prompt: [1] (source) text
+function formatExcerpts(excerpts) {
+  return excerpts.map((excerpt, i) => `[${i + 1}] (${excerpt.source}) ${excerpt.text}`).join('\n\n');
+}
+
+// Markdown list of the sources cited in an answer, shown below it
+function formatSources(sources) {
+  if (sources.length === 0) return '';
+  return `\n\n**Sources**\n${sources.map(source => `${source.number}. ${source.source}`).join('\n')}`;
+}
+
+// Answer a patient question from approved excerpts only, following the system
+// prompt's rules. Returns { answer, sources, answered }: `sources` are the
+// excerpts cited with [[n]] (all of them when none are cited), and `answered`
+// is false when the patient was referred to the care team instead. A session's
+// own system prompt and agent settings (temperature, maxTokens) replace the defaults.
+async function answerFromApprovedContent(question, excerpts, { systemPrompt = getSystemPrompt(), pendingQuestion = null, temperature = 0.2, maxTokens = 800 } = {}) {
+  if (excerpts.length === 0) {
+    return { answer: NO_ANSWER_MESSAGE, sources: [], answered: false };
+  }
+
+  const llm = getChatModel('patient-question', {
+    temperature,
+    maxTokens,
+    tags: ["production", "medical-interview", "patient-question"]
+  });
+
+  try {
+    const formattedPrompt = await questionAnswerPrompt.format({
+      systemPrompt,
+      excerpts: formatExcerpts(excerpts),
+      interviewContext: pendingQuestion
+        ? `The patient asked this during their intake interview, while answering: "${pendingQuestion}". Do not answer the intake question for them.\n\n`
+        : '',
+      question
+    });
+
+    const response = await llm.invoke(formattedPrompt);
+    const answer = String(response.content).trim();
+
+    const cited = new Set([...answer.matchAll(/\[\[(\d+)\]\]/g)].map(match => Number(match[1])));
+    const numbered = excerpts.map((excerpt, i) => ({ number: i + 1, ...excerpt }));
+    const sources = cited.size > 0 ? numbered.filter(source => cited.has(source.number)) : numbered;
+
+    console.log('\nPatient Question:');
+    console.log('------------------');
+    console.log('Question:', question);
+    console.log('Excerpts:', excerpts.length);
+    console.log('Cited:', [...cited].join(', ') || 'none');
+    console.log('------------------\n');
+
+    return { answer, sources, answered: true };
+  } catch (error) {
+    if (error instanceof LLMUnavailableError) throw error;
+    console.error('Error answering patient question:', error);
+    return { answer: NO_ANSWER_MESSAGE, sources: [], answered: false };
+  }
+}
+
+module.exports = {
+  NO_ANSWER_MESSAGE,
+  rewriteQuestion,
+  answerFromApprovedContent,
+  formatSources
+};
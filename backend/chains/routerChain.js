@@ -1,189 +1,191 @@
-const { ChatOpenAI } = require('@langchain/openai');
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
 const { StructuredOutputParser } = require('langchain/output_parsers');
 const { z } = require('zod');
+const { describeSlotType } = require('../slot_types');
+const { getChatModel, getStructuredChatModel } = require('../llm_provider');
+const { invokeStructured } = require('../structured_output');
+const { LLMUnavailableError } = require('../llm_resilience');
 
-// Define the router decision schema
+// One structured call per turn decides the action, extracts every slot value the
+// response answers and, when the answer needs a follow-up, writes the clarification
 const routerDecisionSchema = z.object({
-  action: z.enum(['extract', 'ask', 'clarify']).describe('The action to take based on the user response'),
+  action: z.enum(['extract', 'ask', 'clarify', 'question']).describe('The action to take based on the user response'),
   confidence: z.number().min(0).max(1).describe('Confidence in the decision'),
   reasoning: z.string().describe('Brief explanation of why this action was chosen'),
-  extractedSlots: z.array(z.object({
+  extractions: z.array(z.object({
     slotName: z.string(),
     value: z.union([z.string(), z.array(z.string()), z.boolean(), z.null()]),
-    confidence: z.number().min(0).max(1)
-  })).optional().describe('If action is extract, the slots that can be filled from this response')
+    confidence: z.number().min(0).max(1),
+    reasoning: z.string()
+  })).describe('Every slot value the response answers (empty unless action is extract)'),
+  clarification: z.string().nullable().describe('For ask or clarify: a brief, friendly follow-up question about the current slot; otherwise null')
 });
 
 // Create the router prompt template
 const routerPrompt = ChatPromptTemplate.fromMessages([
-  ["system", `You are an intelligent medical interview router. Analyze user responses to determine the best action.
+  ["system", `You are an intelligent medical interview router and data extraction specialist. In one step, decide the best action for the patient's response, extract every slot value it answers, and write a follow-up question when one is needed.
 
 ACTIONS:
-- "extract": The response contains clear, extractable information for one or more slots
-- "ask": The response is unclear, incomplete, or doesn't answer the current question
-- "clarify": The response partially answers but needs clarification or follow-up
+- "extract": The response answers the current question and/or other slots below
+- "ask": The response is unclear, off-topic or doesn't answer anything
+- "clarify": The response partially answers but needs a specific follow-up
+- "question": The patient asks us something instead of answering (e.g. "what counts as trying?", "why do you need this?")
 
-GUIDELINES FOR MULTI-SLOT DETECTION:
-- Be AGGRESSIVE in detecting multi-slot responses
-- Look for ANY information that could fill multiple slots, not just the current question
+EXTRACTION RULES:
+- Extract information for ANY slot below that the response answers, not just the current slot
+- Be AGGRESSIVE in detecting multi-slot responses, but only extract values with confidence >0.7
 - Common multi-slot patterns:
-  * Names with ages: "John Smith, 35" → first_name, last_name, dob
+  * Names with ages: "John Smith, 35" → first_name, last_name (age alone is not a dob)
   * Relationship + symptoms: "married, having headaches" → has_partner, chief_complaint
-  * Demographics in one go: "Sarah, 28, trying for 6 months" → first_name, dob, months_ttc
+  * Demographics in one go: "Sarah, 28, trying for 6 months" → first_name, months_ttc
   * Contact + personal: "john@email.com, 555-1234, married" → email, phone, has_partner
+- Never turn an age (e.g., "35 years old") into a dob; age is computed from the date of birth
+- For relationship status (married, single, partner), map to has_partner slot
+- For yes/no slots return true/false; for lists return an array; for dates use YYYY-MM-DD
+- Include reasoning for each extraction
+- Patient context from the care team is background for interpreting the response; never extract values from it
 
-EXTRACTION TRIGGERS:
-- If response contains multiple pieces of personal information → "extract"
-- If response mentions age, name, symptoms, relationship status together → "extract"
-- If response answers the current question PLUS provides additional info → "extract"
-- Only use "ask" if truly unclear or off-topic
-- Only use "clarify" if partial but needs specific follow-up
-
-Be generous with "extract" - if there's ANY extractable information beyond just the current slot, choose extract.
-
-{format_instructions}`],
+DECISION RULES:
+- If anything was extracted, the action is "extract"; "35, is that too old?" is "extract"
+- Use "question" only when the response contains no answer
+- For "ask" and "clarify", leave extractions empty and set clarification to a brief, specific follow-up question about the current slot
+- For "extract" and "question", set clarification to null`],
 
-  ["human", `Current Question: {currentQuestion}
+  ["human", `Patient Context: {patientContext}
+Current Question: {currentQuestion}
 Current Slot: {currentSlot}
 User Response: "{userResponse}"
 
-Available Slots Context:
+Slots that can be filled (name (answer type): question):
 {availableSlots}
 
-Analyze this response and decide the best action. Be aggressive about detecting multi-slot extraction opportunities.`]
+Decide the action and extract all slot values from this response.`]
 ]);
 
-// Create the router parser
-const routerParser = StructuredOutputParser.fromZodSchema(routerDecisionSchema);
+// Slots commonly mentioned together with whatever is being asked
+const KEY_SLOTS = [
+  'first_name', 'last_name', 'dob', 'chief_complaint',
+  'has_partner', 'months_ttc', 'phone', 'email'
+];
+
+// The slots the router may fill: the current slot, the next unanswered ones and
+// the key slots. Table slots collect rows through extractTableRows instead.
+function describeRoutableSlots(availableSlots, currentSlot, filledSlots = {}) {
+  const unanswered = Object.keys(availableSlots)
+    .filter(name => filledSlots[name] === undefined)
+    .slice(0, 10); // Limit context to avoid token limits
+  const names = [...new Set([currentSlot, ...unanswered, ...KEY_SLOTS])]
+    .filter(name => availableSlots[name] && availableSlots[name].type !== 'table');
+  return names
+    .map(name => `${name} (${describeSlotType(availableSlots[name])}): ${availableSlots[name].question}`)
+    .join('\n');
+}
 
-// Multi-slot extraction for when users provide information for multiple questions
-async function extractMultipleSlots(userResponse, availableSlots, currentSlot) {
-  const extractionPrompt = ChatPromptTemplate.fromMessages([
-    ["system", `You are a medical data extraction specialist. Extract information for multiple slots from a single user response.
+// Marital status words, and the negations that reverse them ("not married",
+// "I don't have a husband")
+const PARTNERED_WORDS = /\b(married|spouse|husband|wife)\b/;
+const SINGLE_WORDS = /\b(single|unmarried|divorced|widowed)\b/;
+const NEGATION = /(\bnot|\bnever|\bno longer|\bno|n't)\b[^.,;!?]*$/;
+
+// Whether `text` says the patient has a partner (true), hasn't (false) or neither (null)
+function readMaritalStatus(text) {
+  const lower = text.toLowerCase();
+  for (const [pattern, stated] of [[PARTNERED_WORDS, true], [SINGLE_WORDS, false]]) {
+    const match = lower.match(pattern);
+    if (!match) continue;
+    const negated = NEGATION.test(lower.slice(Math.max(0, match.index - 30), match.index));
+    return negated ? !stated : stated;
+  }
+  return null;
+}
 
-Available slots and their questions:
-{slotContext}
+// A has_partner value the model gave as marital status words ("married") becomes
+// an inferred yes/no, which the dialog manager confirms with the patient. Values
+// that already are a yes/no are left alone.
+function inferPartnerStatus(extraction, userResponse) {
+  const { slotName, value } = extraction;
+  if (slotName !== 'has_partner' || typeof value !== 'string' || /^(yes|no|true|false)$/i.test(value.trim())) {
+    return extraction;
+  }
 
-EXTRACTION RULES:
-- Extract information for ANY slot that can be answered from the response, not just the current slot
-- Be AGGRESSIVE in extraction - if you can reasonably infer information, extract it
-- For age mentions (e.g., "35 years old"), calculate approximate birth year for dob slot
-- For relationship status (married, single, partner), map to has_partner slot
-- For symptoms/complaints, extract to chief_complaint_text slot
-- For names, extract both first_name and last_name if both are provided
-- Only extract if confidence is >0.7
-- Include reasoning for each extraction
+  const status = readMaritalStatus(userResponse) ?? readMaritalStatus(value);
+  if (status === null) return extraction;
+  return { ...extraction, value: status, inferred: true, reasoning: `${extraction.reasoning || ''} (inferred from marital status)`.trim() };
+}
+
+// Extract the rows of a table slot (e.g. pregnancies, surgeries) from one response
+async function extractTableRows(userResponse, slotConfig) {
+  const columns = slotConfig.columns || {};
 
-EXAMPLES:
-- "I'm 35 and married" → age→dob (calculate birth year), married→has_partner:yes
-- "John Smith, 28, having back pain" → first_name:John, last_name:Smith, age→dob, chief_complaint_text:back pain
-- "My name is Sarah and I've been trying for 6 months" → first_name:Sarah, months_ttc:6
+  const tablePrompt = ChatPromptTemplate.fromMessages([
+    ["system", `You are a medical data extraction specialist. The patient is describing one or more items for a table in their medical history.
+
+Table: {question}
+Columns:
+{columnContext}
+
+EXTRACTION RULES:
+- Return one row per item the patient describes (usually one)
+- Use exactly the column names above as keys
+- Use null for any column the patient did not mention - never guess
+- If the patient only says "yes" without details, return no rows
 
 {format_instructions}`],
-    
+
     ["human", `User Response: "{userResponse}"
-Current Slot: {currentSlot}
 
-Extract ALL possible slot values from this response. Be thorough and aggressive in extraction.`]
+Extract the table rows from this response.`]
   ]);
 
-  const multiExtractSchema = z.object({
-    extractions: z.array(z.object({
-      slotName: z.string(),
-      value: z.union([z.string(), z.array(z.string()), z.boolean(), z.null()]),
-      confidence: z.number().min(0).max(1),
-      reasoning: z.string()
-    }))
+  const rowSchema = z.object(Object.fromEntries(
+    Object.keys(columns).map(columnName => [
+      columnName,
+      z.union([z.string(), z.number(), z.null()]).optional()
+    ])
+  ));
+  const tableSchema = z.object({
+    rows: z.array(rowSchema)
   });
+  const tableParser = StructuredOutputParser.fromZodSchema(tableSchema);
 
-  const multiExtractParser = StructuredOutputParser.fromZodSchema(multiExtractSchema);
-  
-  const llm = new ChatOpenAI({
-    model: "gpt-4o-mini",
+  const llm = getChatModel('table-extraction', {
     temperature: 0,
-    openAIApiKey: process.env.OPENAI_API_KEY,
-    tags: ["production", "medical-interview", "multi-extraction"]
+    tags: ["production", "medical-interview", "table-extraction"]
   });
 
-  try {
-    // Create comprehensive slot context - include more slots for better extraction
-    const slotContext = Object.entries(availableSlots)
-      .filter(([name, config]) => {
-        // Include key slots that are commonly mentioned together
-        const keySlots = [
-          'first_name', 'last_name', 'dob', 'chief_complaint', 'chief_complaint_text',
-          'has_partner', 'months_ttc', 'age', 'phone', 'email'
-        ];
-        return keySlots.includes(name) || name === currentSlot;
-      })
-      .map(([name, config]) => `${name}: ${config.question}`)
-      .join('\n');
-
-    const formattedPrompt = await extractionPrompt.format({
-      slotContext,
-      userResponse,
-      currentSlot,
-      format_instructions: multiExtractParser.getFormatInstructions()
-    });
+  const columnContext = Object.entries(columns)
+    .map(([columnName, columnConfig]) => `${columnName} (${describeSlotType(columnConfig)})${columnConfig.required ? ' - required' : ''}`)
+    .join('\n');
 
-    const response = await llm.invoke(formattedPrompt);
-    const cleanedResponse = response.content.replace(/```json\n?|\n?```/g, '').trim();
-    
-    console.log('\nMulti-Slot Extraction Debug:');
-    console.log('------------------');
-    console.log('User Response:', userResponse);
-    console.log('LLM Response:', cleanedResponse);
-    console.log('------------------\n');
-    
-    const result = JSON.parse(cleanedResponse);
-
-    // Post-process extractions to handle special cases
-    const processedExtractions = result.extractions.map(extraction => {
-      // Handle age to date of birth conversion
-      if (extraction.slotName === 'dob' && typeof extraction.value === 'string') {
-        const ageMatch = userResponse.match(/(\d+)\s*years?\s*old/i);
-        if (ageMatch) {
-          const age = parseInt(ageMatch[1]);
-          const currentYear = new Date().getFullYear();
-          const birthYear = currentYear - age;
-          extraction.value = `01/01/${birthYear}`;
-          extraction.reasoning += ` (converted from age ${age})`;
-        }
-      }
-      
-      // Handle marital status to has_partner conversion
-      if (extraction.slotName === 'has_partner' && typeof extraction.value === 'string') {
-        const marriedKeywords = ['married', 'spouse', 'husband', 'wife', 'partner'];
-        const singleKeywords = ['single', 'unmarried', 'divorced', 'widowed'];
-        
-        const lowerResponse = userResponse.toLowerCase();
-        if (marriedKeywords.some(keyword => lowerResponse.includes(keyword))) {
-          extraction.value = true;
-          extraction.reasoning += ' (inferred from marital status)';
-        } else if (singleKeywords.some(keyword => lowerResponse.includes(keyword))) {
-          extraction.value = false;
-          extraction.reasoning += ' (inferred from marital status)';
-        }
-      }
-      
-      return extraction;
-    });
+  const formattedPrompt = await tablePrompt.formatMessages({
+    question: slotConfig.question,
+    columnContext,
+    userResponse,
+    format_instructions: tableParser.getFormatInstructions()
+  });
 
-    return processedExtractions || [];
-  } catch (error) {
-    console.error('Error in multi-slot extraction:', error);
-    console.error('Raw response that failed to parse:', error.message);
-    return [];
-  }
+  // Throws StructuredOutputError when the reply stays unusable after the repair
+  const result = await invokeStructured('table-extraction', llm, formattedPrompt, tableSchema);
+
+  console.log('\nTable Row Extraction:');
+  console.log('------------------');
+  console.log('Table:', slotConfig.id);
+  console.log('User Response:', userResponse);
+  console.log('Rows found:', result.rows.length);
+  console.log('------------------\n');
+
+  return result.rows;
 }
 
-// Main router function
+// Main router function: one structured call returns the action, the extractions
+// and any clarification. `conversationContext` carries the session's filledSlots
+// (already answered slots are left out of the context), patientInfo and
+// minConfidence, the bottom of its confirmation band: extractions below it are dropped.
 async function routeUserResponse(currentSlot, userResponse, availableSlots, conversationContext = {}) {
-  const llm = new ChatOpenAI({
-    model: "gpt-4o-mini",
+  const { minConfidence = 0.7 } = conversationContext;
+  const llm = getStructuredChatModel('routing', routerDecisionSchema, {
+    name: 'route_patient_response',
     temperature: 0.1,
-    openAIApiKey: process.env.OPENAI_API_KEY,
     tags: ["production", "medical-interview", "routing"]
   });
 
@@ -193,25 +195,18 @@ async function routeUserResponse(currentSlot, userResponse, availableSlots, conv
       throw new Error(`Invalid slot: ${currentSlot}`);
     }
 
-    // Create available slots context
-    const slotsContext = Object.entries(availableSlots)
-      .slice(0, 10) // Limit context to avoid token limits
-      .map(([name, config]) => `${name}: ${config.question}`)
-      .join('\n');
-
-    // Format the router prompt
-    const formattedPrompt = await routerPrompt.format({
+    const formattedPrompt = await routerPrompt.formatMessages({
+      patientContext: conversationContext.patientInfo || 'None provided',
       currentQuestion: currentSlotConfig.question,
       currentSlot,
       userResponse,
-      availableSlots: slotsContext,
-      format_instructions: routerParser.getFormatInstructions()
+      availableSlots: describeRoutableSlots(availableSlots, currentSlot, conversationContext.filledSlots)
     });
 
-    // Get router decision
-    const response = await llm.invoke(formattedPrompt);
-    const cleanedResponse = response.content.replace(/```json\n?|\n?```/g, '').trim();
-    const decision = JSON.parse(cleanedResponse);
+    const decision = await invokeStructured('routing', llm, formattedPrompt, routerDecisionSchema);
+    const extractions = decision.action === 'extract'
+      ? decision.extractions.map(extraction => inferPartnerStatus(extraction, userResponse))
+      : [];
 
     console.log('\nRouter Decision:');
     console.log('------------------');
@@ -220,53 +215,41 @@ async function routeUserResponse(currentSlot, userResponse, availableSlots, conv
     console.log('Action:', decision.action);
     console.log('Confidence:', decision.confidence);
     console.log('Reasoning:', decision.reasoning);
+    extractions.forEach(ext => {
+      console.log(`${ext.slotName}: ${ext.value} (confidence: ${ext.confidence})`);
+    });
+    if (decision.clarification) console.log('Clarification:', decision.clarification);
     console.log('------------------\n');
 
-    // If action is extract, perform multi-slot extraction
-    if (decision.action === 'extract') {
-      const extractions = await extractMultipleSlots(userResponse, availableSlots, currentSlot);
-      
-      console.log('\nMulti-Slot Extraction:');
-      console.log('------------------');
-      console.log('Extractions found:', extractions.length);
-      extractions.forEach(ext => {
-        console.log(`${ext.slotName}: ${ext.value} (confidence: ${ext.confidence})`);
-      });
-      console.log('------------------\n');
-
-      return {
-        action: 'extract',
-        confidence: decision.confidence,
-        reasoning: decision.reasoning,
-        extractions: extractions.filter(ext => ext.confidence >= 0.7) // Only high-confidence extractions
-      };
-    }
-
     return {
       action: decision.action,
       confidence: decision.confidence,
       reasoning: decision.reasoning,
-      extractions: []
+      extractions: extractions.filter(ext => ext.confidence >= minConfidence),
+      clarification: decision.clarification || null
     };
 
   } catch (error) {
+    // An unavailable model can't do the single-slot fallback either
+    if (error instanceof LLMUnavailableError) throw error;
     console.error('Error in router chain:', error);
     // Fallback to simple extraction
     return {
       action: 'ask',
       confidence: 0.5,
       reasoning: 'Router error - falling back to single question mode',
-      extractions: []
+      extractions: [],
+      clarification: null,
+      failed: true
     };
   }
 }
 
-// Generate clarification question
-async function generateClarificationQuestion(currentSlot, userResponse, slotConfig) {
-  const llm = new ChatOpenAI({
-    model: "gpt-4o-mini",
-    temperature: 0.5,
-    openAIApiKey: process.env.OPENAI_API_KEY,
+// Generate clarification question (with the session's agent settings, when set)
+async function generateClarificationQuestion(currentSlot, userResponse, slotConfig, { temperature = 0.5, maxTokens } = {}) {
+  const llm = getChatModel('clarification', {
+    temperature,
+    maxTokens,
     tags: ["production", "medical-interview", "clarification"]
   });
 
@@ -285,6 +268,7 @@ Generate a brief, friendly follow-up question to get the missing information. Be
 
     return response.content;
   } catch (error) {
+    if (error instanceof LLMUnavailableError) throw error;
     console.error('Error generating clarification:', error);
     return `Could you provide more details about: ${slotConfig.question}`;
   }
@@ -292,7 +276,8 @@ Generate a brief, friendly follow-up question to get the missing information. Be
 
 module.exports = {
   routeUserResponse,
-  extractMultipleSlots,
+  extractTableRows,
   generateClarificationQuestion,
+  inferPartnerStatus,
   routerDecisionSchema
 }; 
\ No newline at end of file
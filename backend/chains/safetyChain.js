@@ -0,0 +1,70 @@
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { StructuredOutputParser } = require('langchain/output_parsers');
+const { z } = require('zod');
+const { getChatModel } = require('../llm_provider');
+const { invokeStructured } = require('../structured_output');
+
+// Schema for the emergency classifier
+const emergencySchema = z.object({
+  isEmergency: z.boolean().describe('Whether the message describes a current emergency needing urgent care now'),
+  category: z.string().describe('The red-flag category that applies, or "none"'),
+  confidence: z.number().min(0).max(1).describe('Confidence in the decision'),
+  reasoning: z.string().describe('Brief explanation')
+});
+
+const emergencyPrompt = ChatPromptTemplate.fromMessages([
+  ["system", `You are a triage safety checker for a fertility clinic's intake interview.
+Decide whether the patient's message describes a CURRENT medical emergency or risk of self-harm that needs urgent care now.
+
+Red-flag categories:
+{categories}
+
+RULES:
+- Only symptoms the patient has NOW (or is describing as ongoing) count
+- Past history is not an emergency ("I had heavy bleeding after my delivery in 2019")
+- Chronic or expected symptoms are not emergencies ("my periods are painful", "I get cramps")
+- Any current thoughts of suicide or self-harm are always an emergency
+- When in doubt about a current severe symptom, treat it as an emergency
+
+{format_instructions}`],
+
+  ["human", `Question the patient was answering: {question}
+Patient message: "{userResponse}"
+
+Is this a current emergency?`]
+]);
+
+const emergencyParser = StructuredOutputParser.fromZodSchema(emergencySchema);
+
+// Classify one patient message against the red-flag categories
+// ({ id: label }). Returns the parsed decision; throws StructuredOutputError when
+// the reply stays unusable after the repair.
+async function classifyEmergency(userResponse, question, categories) {
+  const llm = getChatModel('safety', {
+    temperature: 0,
+    tags: ["production", "medical-interview", "safety"]
+  });
+
+  const formattedPrompt = await emergencyPrompt.formatMessages({
+    categories: Object.entries(categories).map(([id, label]) => `- ${id}: ${label}`).join('\n'),
+    question: question || 'None',
+    userResponse,
+    format_instructions: emergencyParser.getFormatInstructions()
+  });
+
+  const result = await invokeStructured('safety', llm, formattedPrompt, emergencySchema);
+
+  console.log('\nEmergency Classifier:');
+  console.log('------------------');
+  console.log('User Response:', userResponse);
+  console.log('Emergency:', result.isEmergency, `(${result.category}, confidence: ${result.confidence})`);
+  console.log('Reasoning:', result.reasoning);
+  console.log('------------------\n');
+
+  return result;
+}
+
+module.exports = {
+  classifyEmergency,
+  emergencySchema
+};
@@ -1,33 +1,42 @@
-const { ChatOpenAI } = require('@langchain/openai');
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { SLOT_SCHEMA, getSlotConfig, groupSlotsBySection } = require('../slot_schema');
+const { describeAnswerState } = require('../answer_states');
+const { checkDataConsistency } = require('./validationChain');
+const { getChatModel } = require('../llm_provider');
+const { LLMUnavailableError } = require('../llm_resilience');
 
 // Create the summary prompt template
 const summaryPrompt = ChatPromptTemplate.fromMessages([
   ["system", `You are a medical professional creating a comprehensive patient summary for clinical use.
 
-Create a well-structured, professional medical summary that includes:
-
-1. **Patient Demographics** - Name, age, contact information
-2. **Chief Complaint** - Primary reason for visit
-3. **Medical History** - Chronic conditions, medications, allergies
-4. **Reproductive History** - Pregnancy history, menstrual history, fertility concerns
-5. **Lifestyle Factors** - Smoking, alcohol, exercise, occupational exposures
-6. **Review of Systems** - Any positive findings
-7. **Clinical Notes** - Areas requiring follow-up or concern
+{summaryInstructions}
 
 Format the summary using clear markdown sections with headers.
 Be concise but thorough. Focus on clinically relevant information.
-If information is missing, note it as "Not assessed" rather than omitting the section.`],
+If information is missing, note it as "Not assessed" rather than omitting the section.
+Answers recorded as "Patient declined to answer", "Patient does not know" or "Skipped"
+must be reported exactly that way (e.g. "patient declined"); never infer or invent a value for them.
+Derived values (such as age and BMI) are already computed from the answers; use them as given.
+List every data consistency issue under Clinical Notes so the clinician can verify it with the patient.
+Patient context from the care team is background only: use it to interpret the answers and mention
+anything relevant under Clinical Notes, but never report it as something the patient said.`],
   
   ["human", `Please create a medical summary from the following patient data:
 
 **Structured Data:**
 {structuredData}
 
+**Data Consistency Issues:**
+{consistencyIssues}
+
+**Patient Context (from the care team):**
+{patientContext}
+
 **Conversation History:**
 {conversationHistory}
 
 **Session Metadata:**
+- Questionnaire: {questionnaire}
 - Total interactions: {totalInteractions}
 - Session duration: {sessionDuration} minutes
 - Date: {sessionDate}
@@ -35,21 +44,52 @@ If information is missing, note it as "Not assessed" rather than omitting the se
 Create a comprehensive medical summary for clinical use.`]
 ]);
 
-// Generate enhanced medical summary
-async function generateEnhancedSummary(filledSlots, conversationHistory, sessionMetadata = {}) {
+// Used when a questionnaire does not define its own summary instructions
+const DEFAULT_SUMMARY_INSTRUCTIONS = `The structured data is grouped by the sections of the intake questionnaire.
+Create a well-structured, professional medical summary with one markdown section per
+questionnaire section, in the same order. Render table data as markdown tables.
+Finish with a **Clinical Notes** section covering areas requiring follow-up or concern.`;
+
+// Arrange filled slots by questionnaire section for the summary prompts
+function formatStructuredData(filledSlots, schema = SLOT_SCHEMA) {
+  const grouped = {};
+  for (const { title, entries } of groupSlotsBySection(filledSlots, schema)) {
+    grouped[title] = Object.fromEntries(entries.map(({ slotName, value }) => {
+      const answerState = describeAnswerState(value);
+      if (answerState) return [slotName, answerState];
+      return [slotName, getSlotConfig(slotName, schema)?.type === 'table' ? value.rows : value];
+    }));
+  }
+  return JSON.stringify(grouped, null, 2);
+}
+
+// Cross-slot consistency issues as a markdown list for the summary prompts
+function formatConsistencyIssues(filledSlots, schema = SLOT_SCHEMA) {
+  const issues = checkDataConsistency(filledSlots, schema);
+  if (issues.length === 0) return 'None found';
+  return issues.map(issue => `- [${issue.severity}] ${issue.message}`).join('\n');
+}
+
+// Generate enhanced medical summary. `options` are the session's agent settings
+// (temperature, maxTokens) and the care team's patient context (patientInfo).
+async function generateEnhancedSummary(filledSlots, conversationHistory, sessionMetadata = {}, schema = SLOT_SCHEMA, { temperature = 0.3, maxTokens = 1500, patientInfo = '' } = {}) {
   try {
-    const llm = new ChatOpenAI({
-      model: "gpt-4o-mini",
-      temperature: 0.3,
-      maxTokens: 1500,
-      openAIApiKey: process.env.OPENAI_API_KEY,
+    const llm = getChatModel('summary', {
+      temperature,
+      maxTokens,
       tags: ["production", "medical-interview", "summary"]
     });
     
     // Format the prompt
     const formattedPrompt = await summaryPrompt.format({
-      structuredData: JSON.stringify(filledSlots, null, 2),
+      summaryInstructions: schema.summary?.instructions || DEFAULT_SUMMARY_INSTRUCTIONS,
+      structuredData: formatStructuredData(filledSlots, schema),
+      consistencyIssues: formatConsistencyIssues(filledSlots, schema),
+      patientContext: patientInfo || 'None provided',
       conversationHistory: conversationHistory || "No conversation history available",
+      questionnaire: sessionMetadata.questionnaire
+        ? `${sessionMetadata.questionnaire.title} (${sessionMetadata.questionnaire.id} v${sessionMetadata.questionnaire.version})`
+        : 'Unknown',
       totalInteractions: sessionMetadata.totalInteractions || 0,
       sessionDuration: sessionMetadata.sessionDuration || 0,
       sessionDate: new Date().toLocaleDateString()
@@ -67,24 +107,32 @@ async function generateEnhancedSummary(filledSlots, conversationHistory, session
 
     return response.content;
   } catch (error) {
+    if (error instanceof LLMUnavailableError) throw error;
     console.error('Error generating enhanced summary:', error);
     throw new Error('Failed to generate enhanced medical summary');
   }
 }
 
 // Fallback to simple summary if enhanced fails
-async function generateSimpleSummary(filledSlots) {
-  const llm = new ChatOpenAI({
-    model: "gpt-4o-mini",
-    temperature: 0.3,
-    maxTokens: 1000,
-    openAIApiKey: process.env.OPENAI_API_KEY
+async function generateSimpleSummary(filledSlots, schema = SLOT_SCHEMA, { temperature = 0.3, maxTokens = 1000, patientInfo = '' } = {}) {
+  const llm = getChatModel('summary', {
+    temperature,
+    maxTokens,
+    tags: ["production", "medical-interview", "summary"]
   });
 
-  const simplePrompt = `Generate a medical summary from this patient data:
-${JSON.stringify(filledSlots, null, 2)}
+  const simplePrompt = `Generate a medical summary of this ${schema.title} data, grouped by intake section:
+${formatStructuredData(filledSlots, schema)}
+
+Data consistency issues:
+${formatConsistencyIssues(filledSlots, schema)}
+
+Patient context from the care team (background only, not the patient's answers):
+${patientInfo || 'None provided'}
 
-Format as a professional medical summary with clear sections.`;
+Format as a professional medical summary with one section per intake section.
+Report declined, unknown or skipped answers exactly as recorded; never invent a value for them.
+List any data consistency issues under a Clinical Notes section.`;
 
   try {
     const response = await llm.invoke([
@@ -94,6 +142,7 @@ Format as a professional medical summary with clear sections.`;
 
     return response.content;
   } catch (error) {
+    if (error instanceof LLMUnavailableError) throw error;
     console.error('Error generating simple summary:', error);
     throw new Error('Failed to generate medical summary');
   }
@@ -1,7 +1,11 @@
-const { ChatOpenAI } = require('@langchain/openai');
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
 const { StructuredOutputParser } = require('langchain/output_parsers');
 const { z } = require('zod');
+const { SLOT_SCHEMA, getSlotConfig, validateSlotValue } = require('../slot_schema');
+const { evaluateCondition } = require('../conditions');
+const { formatSlotValue } = require('../slot_types');
+const { getChatModel } = require('../llm_provider');
+const { invokeStructured } = require('../structured_output');
 
 // Schema for validation results
 const validationResultSchema = z.object({
@@ -42,113 +46,65 @@ Validate this extracted value for medical accuracy and data quality.`]
 
 const validationParser = StructuredOutputParser.fromZodSchema(validationResultSchema);
 
-// Advanced validation function
+// Advanced validation function. Throws StructuredOutputError when the reply stays
+// unusable after the repair, so an unchecked value is never reported as valid.
 async function validateExtractedValue(slotName, extractedValue, userResponse, question, contextInfo = {}) {
-  const llm = new ChatOpenAI({
-    model: "gpt-4o-mini",
+  const llm = getChatModel('validation', {
     temperature: 0.1,
-    openAIApiKey: process.env.OPENAI_API_KEY,
     tags: ["production", "medical-interview", "validation"]
   });
 
-  try {
-    const formattedPrompt = await validationPrompt.format({
-      slotName,
-      question,
-      extractedValue: String(extractedValue),
-      userResponse,
-      contextInfo: JSON.stringify(contextInfo),
-      format_instructions: validationParser.getFormatInstructions()
-    });
-
-    const response = await llm.invoke(formattedPrompt);
-    const cleanedResponse = response.content.replace(/```json\n?|\n?```/g, '').trim();
-    const result = JSON.parse(cleanedResponse);
-
-    console.log('\nAdvanced Validation:');
-    console.log('------------------');
-    console.log('Slot:', slotName);
-    console.log('Value:', extractedValue);
-    console.log('Valid:', result.isValid);
-    console.log('Confidence:', result.confidence);
-    if (result.correctedValue) {
-      console.log('Suggested Correction:', result.correctedValue);
-    }
-    console.log('Reasoning:', result.reasoning);
-    console.log('------------------\n');
-
-    return result;
-  } catch (error) {
-    console.error('Error in advanced validation:', error);
-    // Fallback to basic validation
-    return {
-      isValid: true,
-      confidence: 0.5,
-      reasoning: 'Fallback validation due to error',
-      severity: 'info'
-    };
-  }
-}
+  const formattedPrompt = await validationPrompt.formatMessages({
+    slotName,
+    question,
+    extractedValue: String(extractedValue),
+    userResponse,
+    contextInfo: JSON.stringify(contextInfo),
+    format_instructions: validationParser.getFormatInstructions()
+  });
 
-// Quick format validation for common patterns
-function quickFormatValidation(slotName, value) {
-  const formatRules = {
-    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-    phone: /^[\+]?[1-9][\d]{0,15}$/,
-    // Accept multiple date formats: MM/DD/YYYY, DD/MM/YYYY, YYYY-MM-DD, etc.
-    dob: /^(\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{1,2}-\d{1,2}|\d{1,2}-\d{1,2}-\d{4})$/
-  };
-
-  const rule = formatRules[slotName];
-  if (rule && typeof value === 'string') {
-    return rule.test(value.replace(/[\s\-\(\)]/g, ''));
-  }
-  return true; // No specific format rule
-}
+  const result = await invokeStructured('validation', llm, formattedPrompt, validationResultSchema);
 
-// Data consistency checks
-function checkDataConsistency(filledSlots) {
-  const issues = [];
-
-  // Check age consistency
-  if (filledSlots.dob && filledSlots.age) {
-    const birthYear = new Date(filledSlots.dob).getFullYear();
-    const currentYear = new Date().getFullYear();
-    const calculatedAge = currentYear - birthYear;
-    
-    if (Math.abs(calculatedAge - parseInt(filledSlots.age)) > 1) {
-      issues.push({
-        type: 'age_inconsistency',
-        message: `Age (${filledSlots.age}) doesn't match birth date (${filledSlots.dob})`,
-        severity: 'warning'
-      });
-    }
+  console.log('\nAdvanced Validation:');
+  console.log('------------------');
+  console.log('Slot:', slotName);
+  console.log('Value:', extractedValue);
+  console.log('Valid:', result.isValid);
+  console.log('Confidence:', result.confidence);
+  if (result.correctedValue) {
+    console.log('Suggested Correction:', result.correctedValue);
   }
+  console.log('Reasoning:', result.reasoning);
+  console.log('------------------\n');
 
-  // Check partner consistency
-  if (filledSlots.has_partner === false) {
-    const partnerFields = ['partner_first_name', 'partner_last_name', 'partner_dob'];
-    const filledPartnerFields = partnerFields.filter(field => filledSlots[field]);
-    
-    if (filledPartnerFields.length > 0) {
-      issues.push({
-        type: 'partner_inconsistency',
-        message: 'Partner information provided but has_partner is false',
-        severity: 'error'
-      });
-    }
-  }
+  return result;
+}
 
-  // Check pregnancy timeline consistency
-  if (filledSlots.months_ttc && parseInt(filledSlots.months_ttc) > 120) {
-    issues.push({
-      type: 'timeline_inconsistency',
-      message: 'Trying to conceive for over 10 years seems unusual',
-      severity: 'warning'
-    });
-  }
+// Quick format validation, delegated to the slot type system (email, phone, date, ...).
+// Accepts raw answers as well as stored values.
+function quickFormatValidation(slotName, value, schema = SLOT_SCHEMA) {
+  const slotConfig = schema.slots[slotName];
+  if (!slotConfig) return true; // No schema rule for unknown slots
+  // Stored quantities are bare numbers in the slot's canonical unit
+  const raw = slotConfig.type === 'quantity' && typeof value === 'number' ? `${value} ${slotConfig.unit}` : value;
+  return validateSlotValue(slotName, raw, schema).isValid;
+}
 
-  return issues;
+// Cross-slot consistency checks, shown to the patient in the review and to the
+// clinician in the summary. The rules are the questionnaire's `consistency_checks`:
+// each `when` condition (conditions.js) that holds is an issue, with `{slot}` in
+// its message replaced by the formatted answer. Declined / unknown / skipped
+// answers are never data, so conditions on them do not hold.
+function checkDataConsistency(filledSlots, schema = SLOT_SCHEMA) {
+  return (schema.consistency_checks || [])
+    .filter(check => evaluateCondition(check.when, filledSlots))
+    .map(check => ({
+      type: check.id,
+      message: check.message.replace(/\{(\w+)\}/g, (placeholder, slotName) =>
+        filledSlots[slotName] === undefined ? placeholder : formatSlotValue(getSlotConfig(slotName, schema), filledSlots[slotName])
+      ),
+      severity: check.severity
+    }));
 }
 
 module.exports = {
@@ -0,0 +1,84 @@
+// Computed slots: values derived from other answers instead of being asked.
+//
+// A questionnaire declares them in its top-level "computed" object:
+//   "bmi": { "id": "bmi", "label": "BMI", "compute": "bmi",
+//            "inputs": ["height", "weight"], "unit": "kg/m²", "section": "medical_history" }
+// `compute` names a function below, `inputs` are slot ids (or earlier computed
+// slots) passed to it in order. Computed slots are stored in filledSlots next to
+// the answers and recomputed whenever the answers change, so branch conditions,
+// validation, the review and the summary can all use them.
+const { yearsSince } = require('./conditions');
+const { isAnswerState } = require('./answer_states');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Each function receives the input values in order and returns the computed
+// value, or null when it cannot be derived
+const COMPUTE_FUNCTIONS = {
+  // Whole years since a YYYY-MM-DD date
+  age_from_date: ([date]) => yearsSince(date),
+
+  // Body mass index from height (cm) and weight (kg)
+  bmi: ([heightCm, weightKg]) => {
+    if (!(heightCm > 0) || !(weightKg > 0)) return null;
+    return round(weightKg / (heightCm / 100) ** 2, 1);
+  },
+
+  // Days from the earlier date to the later one
+  days_between: ([later, earlier]) => {
+    const days = Math.round((new Date(`${later}T00:00:00`) - new Date(`${earlier}T00:00:00`)) / DAY_MS);
+    return Number.isFinite(days) && days > 0 ? days : null;
+  },
+
+  // A month count as "2 years 3 months"
+  duration_from_months: ([months]) => {
+    if (!Number.isInteger(months) || months < 0) return null;
+    const years = Math.floor(months / 12);
+    const remainder = months % 12;
+    const parts = [];
+    if (years > 0) parts.push(`${years} year${years === 1 ? '' : 's'}`);
+    if (remainder > 0 || years === 0) parts.push(`${remainder} month${remainder === 1 ? '' : 's'}`);
+    return parts.join(' ');
+  },
+
+  // Time trying to conceive meets the clinical definition of infertility:
+  // 12 months, or 6 months from age 35
+  infertility_criteria_met: ([age, months]) => {
+    if (!Number.isInteger(age) || !Number.isInteger(months)) return null;
+    return months >= (age >= 35 ? 6 : 12);
+  }
+};
+
+// Recompute every computed slot from the current answers, in declaration order.
+// Computed slots whose inputs are missing (or declined / unknown / skipped) are removed.
+function computeSlotValues(computedDefinitions = {}, filledSlots = {}) {
+  const updated = { ...filledSlots };
+
+  for (const [slotName, definition] of Object.entries(computedDefinitions)) {
+    const inputs = definition.inputs.map(input => updated[input]);
+    let value = null;
+
+    if (inputs.every(input => input !== undefined && input !== null && !isAnswerState(input))) {
+      try {
+        value = COMPUTE_FUNCTIONS[definition.compute](inputs);
+      } catch (error) {
+        console.error(`Error computing slot ${slotName}:`, error);
+      }
+    }
+
+    if (value === null || value === undefined) {
+      delete updated[slotName];
+    } else {
+      updated[slotName] = value;
+    }
+  }
+
+  return updated;
+}
+
+module.exports = {
+  COMPUTE_FUNCTIONS,
+  computeSlotValues
+};
@@ -0,0 +1,95 @@
+// Declarative condition language used by slot branches and `skip_if` rules.
+//
+// A condition is either a combinator:
+//   { "all": [cond, ...] }   every condition holds
+//   { "any": [cond, ...] }   at least one condition holds
+//   { "not": cond }          the condition does not hold
+// or a comparison against a slot value:
+//   { "slot": "months_ttc", "op": "gte", "value": 6 }
+// When `slot` is omitted the comparison applies to the slot being branched on.
+// Comparisons against an unanswered slot are false (except "unanswered").
+// Declined / unknown / skipped answers (answer_states.js) count as answered
+// but carry no value, so every other comparison against them is false
+// ("has_value" holds only for a real value).
+
+const { isAnswerState } = require('./answer_states');
+
+// Whole years elapsed since a YYYY-MM-DD date
+function yearsSince(dateString, now = new Date()) {
+  const date = new Date(`${dateString}T00:00:00`);
+  if (isNaN(date)) return null;
+  let years = now.getFullYear() - date.getFullYear();
+  const beforeAnniversary = now.getMonth() < date.getMonth()
+    || (now.getMonth() === date.getMonth() && now.getDate() < date.getDate());
+  if (beforeAnniversary) years--;
+  return years;
+}
+
+const normalizeForCompare = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+const OPERATORS = {
+  eq: (actual, expected) => normalizeForCompare(actual) === normalizeForCompare(expected),
+  ne: (actual, expected) => normalizeForCompare(actual) !== normalizeForCompare(expected),
+  gt: (actual, expected) => Number(actual) > expected,
+  gte: (actual, expected) => Number(actual) >= expected,
+  lt: (actual, expected) => Number(actual) < expected,
+  lte: (actual, expected) => Number(actual) <= expected,
+  in: (actual, expected) => expected.map(normalizeForCompare).includes(normalizeForCompare(actual)),
+  not_in: (actual, expected) => !expected.map(normalizeForCompare).includes(normalizeForCompare(actual)),
+  is_true: (actual) => actual === true,
+  is_false: (actual) => actual === false,
+  contains: (actual, expected) => {
+    const needle = normalizeForCompare(expected);
+    if (Array.isArray(actual)) return actual.some(item => normalizeForCompare(item) === needle);
+    return String(actual).toLowerCase().includes(needle);
+  },
+  years_since_gte: (actual, expected) => {
+    const years = yearsSince(actual);
+    return years !== null && years >= expected;
+  },
+  years_since_lt: (actual, expected) => {
+    const years = yearsSince(actual);
+    return years !== null && years < expected;
+  },
+  answered: () => true,
+  has_value: () => true
+};
+
+const COMPARISON_OPERATORS = [...Object.keys(OPERATORS), 'unanswered'];
+
+// Evaluate a condition against the filled slots.
+// `selfSlot` is the slot a branch belongs to, used when a comparison omits `slot`.
+function evaluateCondition(condition, filledSlots, selfSlot = null) {
+  if (!condition) return false;
+
+  if (Array.isArray(condition.all)) {
+    return condition.all.every(part => evaluateCondition(part, filledSlots, selfSlot));
+  }
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(part => evaluateCondition(part, filledSlots, selfSlot));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, filledSlots, selfSlot);
+  }
+
+  const slotName = condition.slot || selfSlot;
+  const actual = filledSlots[slotName];
+  const isAnswered = actual !== undefined && actual !== null;
+
+  if (condition.op === 'unanswered') return !isAnswered;
+  if (!isAnswered) return false;
+  if (isAnswerState(actual)) return condition.op === 'answered';
+
+  const operator = OPERATORS[condition.op];
+  if (!operator) {
+    console.error('Unknown condition operator:', condition.op);
+    return false;
+  }
+  return operator(actual, condition.value);
+}
+
+module.exports = {
+  evaluateCondition,
+  yearsSince,
+  COMPARISON_OPERATORS
+};
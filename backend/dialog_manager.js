@@ -1,100 +1,277 @@
-const { ChatOpenAI } = require('@langchain/openai');
-const { SLOT_SCHEMA, getNextUnfilledSlot, validateSlotValue } = require('./slot_schema');
+const {
+  getQuestionnaire,
+  getNextUnfilledSlot,
+  getMissingRequiredSlots,
+  getPathSlots,
+  getPreviousSlot,
+  getOffPathSlots,
+  getSlotConfig,
+  getSlotQuestion,
+  groupSlotsBySection,
+  updateComputedSlots,
+  validateSlotValue
+} = require('./slot_schema');
+const { SLOT_TYPES, describeSlotType, formatSlotValue, isNegativeResponse, isBareAnswer } = require('./slot_types');
+const { makeAnswerState, getAnswerState, isAnswerState, detectAnswerState } = require('./answer_states');
+const { detectNavigationIntent } = require('./navigation');
+const { makeProvenance, getSlotProvenance, describeProvenance } = require('./provenance');
+const { getApprovedExcerpts } = require('./approved_content');
+const { getSystemPrompt } = require('./prompts');
+const { detectRedFlag, getUrgentMessage } = require('./red_flags');
+const { getChatModel, describeLLMConfig, isChainAvailable } = require('./llm_provider');
 const { buildExtractChain, preprocessResponse } = require('./chains/extractSlotChain');
-const { interviewMemory } = require('./memory');
 const { generateEnhancedSummary, generateSimpleSummary } = require('./chains/summaryChain');
-const { routeUserResponse, generateClarificationQuestion } = require('./chains/routerChain');
+const { generateContextAwareQuestion } = require('./chains/contextChain');
+const { validateExtractedValue, quickFormatValidation, checkDataConsistency } = require('./chains/validationChain');
+const { routeUserResponse, extractTableRows, generateClarificationQuestion, inferPartnerStatus } = require('./chains/routerChain');
+const { answerFromApprovedContent, formatSources } = require('./chains/questionAnswerChain');
+const { invokeStructured } = require('./structured_output');
+const { LLMUnavailableError } = require('./llm_resilience');
 const { StructuredOutputParser } = require('langchain/output_parsers');
 const { z } = require('zod');
 
+const DEFAULT_REVIEW_WORDING = {
+  title: 'Please review your information',
+  instructions: 'If anything looks incorrect or needs to be updated, just tell me.',
+  approve_prompt: 'When everything looks good, type **approved** to finalize.'
+};
+
+// Short label for a slot in patient-facing lists
+function makeSlotLabel(slotConfig, slotName) {
+  if (slotConfig?.label) return slotConfig.label;
+  let label = slotConfig?.question || slotName;
+  // Remove parentheses content and trailing question mark
+  label = label.replace(/\(.*?\)/g, '').trim();
+  if (label.endsWith('?')) label = label.slice(0, -1);
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+// Extraction chains depend only on the slot config, so they are shared by all sessions
+const extractionChainCache = new Map();
+
+// Drives one interview session (see session_store.js): its transcript lives in
+// session.memory, its settings in session.settings, and its questionnaire is
+// the default `schema` for every method below.
 class DialogManager {
-  constructor() {
-    this.llm = new ChatOpenAI({
-      model: "gpt-4o-mini",
+  constructor(session) {
+    this.session = session;
+    this.memory = session.memory;
+    this.schema = getQuestionnaire(session.questionnaireId);
+    if (!this.schema) throw new Error(`Unknown questionnaire "${session.questionnaireId}"`);
+
+    this.llm = getChatModel('corrections', {
       temperature: 0.3,
       maxTokens: 1000,
-      openAIApiKey: process.env.OPENAI_API_KEY,
-      tags: ["production", "medical-interview"]
+      tags: ["production", "medical-interview", "corrections"]
     });
-    
-    // Cache extraction chains for performance
-    this.extractionChains = new Map();
-    
-    // Initialize memory for new session
-    this.initializeSession();
-    
-    // Enable hybrid mode by default
-    this.hybridMode = true;
+
+
+    // Record which questionnaire this session's transcript belongs to
+    this.memory.setQuestionnaire(this.getQuestionnaireInfo());
+    console.log(`Session ${session.id} initialized with hybrid conversation flow`);
+  }
+
+  // Identify the questionnaire definition (and its version) driving the interview
+  getQuestionnaireInfo(schema = this.schema) {
+    return {
+      id: schema.id,
+      version: schema.version,
+      title: schema.title
+    };
+  }
+
+  // Toggle context-aware questioning on/off for this session
+  setContextAwareMode(enabled) {
+    this.session.settings.contextAwareMode = enabled;
+    console.log(`Context-aware mode: ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  // Configuration and state of this session's interview
+  getSystemStatus() {
+    return {
+      sessionId: this.session.id,
+      questionnaire: this.getQuestionnaireInfo(),
+      phase: this.session.phase,
+      hybridMode: this.session.settings.hybridMode,
+      contextAwareMode: this.session.settings.contextAwareMode,
+      advancedValidation: this.session.settings.advancedValidation,
+      confirmationBand: this.session.settings.confirmationBand,
+      agentConfig: this.getEffectiveConfig(),
+      pendingConfirmations: this.session.pendingConfirmations.map(pending => pending.slot),
+      redFlags: this.session.redFlags,
+      llm: describeLLMConfig(),
+      cachedChains: extractionChainCache.size,
+      memoryStats: this.memory.getStats()
+    };
+  }
+
+  // Apply configuration from the UI: agent settings ({ temperature, maxTokens }),
+  // the Q&A system prompt and the care team's patient context. Omitted fields are kept.
+  setSessionConfig({ temperature, maxTokens, systemPrompt, patientInfo } = {}) {
+    const settings = this.session.settings;
+    if (temperature !== undefined) settings.temperature = temperature;
+    if (maxTokens !== undefined) settings.maxTokens = maxTokens;
+    if (systemPrompt !== undefined) settings.systemPrompt = systemPrompt;
+    if (patientInfo !== undefined) settings.patientInfo = patientInfo;
+    console.log('Session config:', JSON.stringify(this.getEffectiveConfig()));
+  }
+
+  // Temperature and max tokens for the Q&A, clarification, context-aware question and summary chains
+  // (only the ones set for this session; the chains' defaults apply otherwise)
+  getAgentOptions() {
+    const { temperature, maxTokens } = this.session.settings;
+    return {
+      ...(temperature !== null && { temperature }),
+      ...(maxTokens !== null && { maxTokens })
+    };
+  }
+
+  // The Q&A system prompt this session uses
+  getSessionSystemPrompt() {
+    return this.session.settings.systemPrompt || getSystemPrompt();
+  }
+
+  // Configuration the chains actually use, for the system status
+  getEffectiveConfig() {
+    const { temperature, maxTokens, systemPrompt, patientInfo } = this.session.settings;
+    return {
+      temperature: temperature ?? 'chain default',
+      maxTokens: maxTokens ?? 'chain default',
+      appliesTo: ['patient-question', 'clarification', 'context-aware', 'summary'],
+      systemPrompt: {
+        source: systemPrompt ? 'session' : 'clinic',
+        text: this.getSessionSystemPrompt()
+      },
+      patientInfo
+    };
   }
 
-  // Initialize a new interview session
-  async initializeSession() {
-    await interviewMemory.clearMemory();
-    console.log('New interview session initialized with hybrid conversation flow');
+  // Count a patient message (an answer, a correction or a skip) so provenance can cite it
+  beginTurn() {
+    this.session.turn = (this.session.turn || 0) + 1;
+    return this.session.turn;
+  }
+
+  // Record where a slot value came from (see provenance.js)
+  setProvenance(slotName, method, details = {}) {
+    this.session.slotProvenance[slotName] = makeProvenance(method, { turn: this.session.turn, ...details });
+  }
+
+  // Provenance of every filled slot, for the API and the summary
+  getProvenance(filledSlots = this.session.filledSlots, schema = this.schema) {
+    return getSlotProvenance(filledSlots, this.session.slotProvenance, schema.computed);
   }
 
   // Toggle hybrid mode on/off
   setHybridMode(enabled) {
-    this.hybridMode = enabled;
+    this.session.settings.hybridMode = enabled;
     console.log(`Hybrid conversation mode: ${enabled ? 'enabled' : 'disabled'}`);
   }
 
+  // Extracted values with a confidence in [min, max) are confirmed with the patient;
+  // below min they are not used at all
+  setConfirmationBand(min, max) {
+    this.session.settings.confirmationBand = { min, max };
+    console.log(`Confirmation band: ${min} - ${max}`);
+  }
+
+  // Inferred values and values in the confirmation band need the patient's yes/no
+  needsConfirmation(method, confidence) {
+    const { max } = this.session.settings.confirmationBand;
+    return method === 'inference' || (typeof confidence === 'number' && confidence < max);
+  }
+
+  // Whether the chain that extracts answers can be called (its circuit is not open)
+  isModelAvailable() {
+    return isChainAvailable(this.session.settings.hybridMode ? 'routing' : 'extraction');
+  }
+
+  // Toggle the LLM plausibility check on extracted values on/off
+  setAdvancedValidation(enabled) {
+    this.session.settings.advancedValidation = enabled;
+    console.log(`Advanced validation: ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
   // Get or create an extraction chain for a specific slot
-  getExtractionChain(slotName) {
-    if (!this.extractionChains.has(slotName)) {
-      const slotConfig = SLOT_SCHEMA.slots[slotName];
+  getExtractionChain(slotName, schema = this.schema) {
+    const cacheKey = `${schema.id}:${slotName}`;
+    if (!extractionChainCache.has(cacheKey)) {
+      const slotConfig = schema.slots[slotName];
       const chain = buildExtractChain(slotConfig);
-      this.extractionChains.set(slotName, chain);
+      extractionChainCache.set(cacheKey, chain);
     }
-    return this.extractionChains.get(slotName);
+    return extractionChainCache.get(cacheKey);
   }
 
-  // Extract slot value using LangChain (legacy single-slot method)
-  async extractSlotValue(slotName, userResponse) {
-    const slotConfig = SLOT_SCHEMA.slots[slotName];
+  // Extract slot value using LangChain (legacy single-slot method).
+  // Returns { value, method, confidence }, or null when nothing usable was extracted.
+  async extractSlotValue(slotName, userResponse, schema = this.schema) {
+    const slotConfig = schema.slots[slotName];
     
     // First try preprocessing for simple yes/no responses
     const preprocessed = preprocessResponse(userResponse, slotConfig);
-    if (preprocessed !== userResponse) {
+    if (preprocessed !== null) {
       console.log('\nPreprocessed Response:');
       console.log('------------------');
       console.log('Original:', userResponse);
       console.log('Preprocessed:', preprocessed);
       console.log('------------------\n');
-      return preprocessed;
+      return { value: preprocessed, method: 'preprocess', confidence: null };
     }
     
     // Use LangChain extraction for complex responses
     try {
-      const extractionChain = this.getExtractionChain(slotName);
+      const extractionChain = this.getExtractionChain(slotName, schema);
       const result = await extractionChain.invoke({
         question: slotConfig.question,
-        userResponse
+        userResponse,
+        patientContext: this.session.settings.patientInfo
       });
       
       // Return the extracted value if confidence is high enough
-      if (result.confidence >= 0.7 && result.value !== null) {
-        return result.value;
+      const { min } = this.session.settings.confirmationBand;
+      if (result.confidence >= min && result.value !== null && result.value !== undefined) {
+        return { value: result.value, method: 'single_slot_chain', confidence: result.confidence };
       }
       
       // If confidence is low, return null to trigger reprompt
-      if (result.confidence < 0.7) {
+      if (result.confidence < min) {
         console.log(`Low confidence extraction (${result.confidence}) for slot: ${slotName}`);
       }
       
       return null;
     } catch (error) {
+      if (error instanceof LLMUnavailableError) throw error;
       console.error('Error in LangChain extraction:', error);
       return null;
     }
   }
 
   // Get the next question to ask based on the current state
-  getNextQuestion(filledSlots) {
-    const nextSlot = getNextUnfilledSlot(filledSlots);
+  getNextQuestion(filledSlots, schema = this.schema) {
+    // Values waiting for the patient's yes/no come before new questions
+    const pending = this.session.pendingConfirmations.find(held => filledSlots[held.slot] === undefined);
+    if (pending) return this.makeConfirmationQuestion(pending, filledSlots, schema);
+
+    const nextSlot = getNextUnfilledSlot(filledSlots, schema);
+
+    // Questions the patient put off ("I'll answer later") come back before the review
+    const deferredSlot = !nextSlot && getPathSlots(filledSlots, schema).find(slotName =>
+      getAnswerState(filledSlots[slotName]) === 'skipped' && filledSlots[slotName].reason === 'deferred'
+    );
+    if (deferredSlot) {
+      const question = getSlotQuestion(deferredSlot, filledSlots, schema);
+      return {
+        isComplete: false,
+        slot: deferredSlot,
+        message: `Earlier you said you'd answer this later. ${question}`,
+        canonicalQuestion: question
+      };
+    }
+
     if (!nextSlot) {
       // All questions answered – move to review phase instead of immediate completion
-      const reviewMessage = this.generateReviewMessage(filledSlots);
+      const reviewMessage = this.generateReviewMessage(filledSlots, schema);
       return {
         isReview: true,
         filledSlots,
@@ -102,41 +279,200 @@ class DialogManager {
       };
     }
 
-    const slotConfig = SLOT_SCHEMA.slots[nextSlot];
     return {
       isComplete: false,
       slot: nextSlot,
-      message: slotConfig.question
+      message: getSlotQuestion(nextSlot, filledSlots, schema)
     };
   }
 
-  // Build a human-readable review message summarising collected info
-  generateReviewMessage(filledSlots) {
-    const formatValue = (val) => {
-      if (typeof val === 'boolean') return val ? 'Yes' : 'No';
-      if (Array.isArray(val)) return val.join(', ');
-      return String(val);
-    };
+  // Context-aware mode: rephrase the next schema question using what is already
+  // known. Skip recommendations are only honoured for optional, unanswered slots
+  // of the schema. The canonical question is returned alongside and kept on
+  // record in the transcript.
+  async applyContextAwareness(result, schema = this.schema) {
+    if (!result.slot) return result;
+    // Confirmations, navigation and deferred questions carry their own wording
+    if (result.canonicalQuestion) return this.rememberQuestion(result);
+    const canonicalQuestion = result.message;
+    const filledSlots = result.filledSlots || this.session.filledSlots;
 
-    const makeLabel = (question, slotName) => {
-      let label = question || slotName;
-      // Remove parentheses content and trailing question mark
-      label = label.replace(/\(.*?\)/g, '').trim();
-      if (label.endsWith('?')) label = label.slice(0, -1);
-      return label.charAt(0).toUpperCase() + label.slice(1);
-    };
+    if (!this.session.settings.contextAwareMode || Object.keys(filledSlots).length === 0 || !isChainAvailable('context-aware')) {
+      return this.rememberQuestion({ ...result, canonicalQuestion });
+    }
+
+    try {
+      // Offer the next slot and the upcoming unanswered slots to the chain
+      const availableSlots = Object.fromEntries(
+        Object.entries(schema.slots)
+          .filter(([slotName]) => slotName === result.slot || filledSlots[slotName] === undefined)
+          .slice(0, 8)
+      );
+      availableSlots[result.slot] = { ...schema.slots[result.slot], question: canonicalQuestion };
+
+      const context = await generateContextAwareQuestion(
+        filledSlots,
+        await this.memory.getMessages(),
+        result.slot,
+        availableSlots,
+        this.getAgentOptions()
+      );
+
+      const skippable = (context.skipRecommendation || []).filter(slotName =>
+        schema.slots[slotName] && !schema.slots[slotName].required && filledSlots[slotName] === undefined
+      );
+      const rejected = (context.skipRecommendation || []).filter(slotName => !skippable.includes(slotName));
+      if (rejected.length > 0) {
+        console.log('Ignoring skip recommendations not allowed by the schema:', rejected.join(', '));
+      }
+
+      // Skipping changes what comes next, so ask the new next slot as written
+      if (skippable.length > 0) {
+        let updatedSlots = { ...filledSlots };
+        skippable.forEach(slotName => {
+          updatedSlots[slotName] = makeAnswerState('skipped', 'not_applicable');
+          this.setProvenance(slotName, 'context_skip');
+        });
+        updatedSlots = updateComputedSlots(updatedSlots, schema);
+        const next = this.getNextQuestion(updatedSlots, schema);
+        console.log('Context-aware skip:', skippable.join(', '));
+        const { slot, message, ...turnDetails } = result;
+        return this.rememberQuestion({
+          ...turnDetails,
+          ...next,
+          filledSlots: updatedSlots,
+          canonicalQuestion: next.slot ? next.message : undefined,
+          contextSkippedSlots: skippable
+        });
+      }
+
+      return this.rememberQuestion({
+        ...result,
+        message: context.nextQuestion || canonicalQuestion,
+        canonicalQuestion,
+        isContextAware: Boolean(context.nextQuestion) && context.nextQuestion !== canonicalQuestion
+      });
+    } catch (error) {
+      console.warn('Context-aware questioning failed, using the schema question:', error.message);
+      return this.rememberQuestion({ ...result, canonicalQuestion });
+    }
+  }
+
+  // Remember the wording shown for the pending slot so the transcript records both
+  rememberQuestion(result) {
+    this.session.lastQuestion = result.slot
+      ? { slot: result.slot, canonicalQuestion: result.canonicalQuestion, askedQuestion: result.message }
+      : null;
+    return result;
+  }
+
+  // Save an interaction, recording the rephrased wording when the patient saw one
+  async recordInteraction(question, userResponse, extractedValue, slotName) {
+    const lastQuestion = this.session.lastQuestion;
+    const askedQuestion = lastQuestion?.slot === slotName && lastQuestion.askedQuestion !== lastQuestion.canonicalQuestion
+      ? lastQuestion.askedQuestion
+      : null;
+    await this.memory.saveInteraction(question, userResponse, extractedValue, slotName, askedQuestion);
+  }
+
+  // Drop answers an earlier (changed) answer has taken off the patient's path,
+  // then refresh computed slots
+  settleSlots(filledSlots, schema = this.schema) {
+    const offPath = getOffPathSlots(filledSlots, schema);
+    if (offPath.length === 0) return updateComputedSlots(filledSlots, schema);
+
+    console.log('Dropping answers no longer on the path:', offPath.join(', '));
+    const remaining = { ...filledSlots };
+    offPath.forEach(slotName => { delete remaining[slotName]; });
+    this.session.pendingConfirmations = this.session.pendingConfirmations.filter(pending => !offPath.includes(pending.slot));
+    return updateComputedSlots(remaining, schema);
+  }
+
+  // Build a human-readable review message summarising collected info
+  generateReviewMessage(filledSlots, schema = this.schema) {
+    // Declined / unknown / skipped answers are listed on their own, not as data
+    const answered = {};
+    const notAnswered = [];
+    for (const [slotName, value] of Object.entries(filledSlots)) {
+      if (isAnswerState(value)) notAnswered.push({ slotName, value });
+      else answered[slotName] = value;
+    }
 
-    const lines = Object.entries(filledSlots).map(([slotName, value]) => {
-      const question = SLOT_SCHEMA.slots[slotName]?.question;
-      const label = makeLabel(question, slotName);
-      return `- **${label}:** ${formatValue(value)}`;
+    const sections = groupSlotsBySection(answered, schema).map(({ title, entries }) => {
+      const lines = entries.map(({ slotName, value }) => {
+        const slotConfig = getSlotConfig(slotName, schema);
+        const label = makeSlotLabel(slotConfig, slotName);
+        // Tables need their own block so the markdown table renders
+        if (slotConfig?.type === 'table' && value?.rows?.length > 0) {
+          return `\n**${label}:**\n\n${formatSlotValue(slotConfig, value)}\n`;
+        }
+        return `- **${label}:** ${formatSlotValue(slotConfig, value)}`;
+      });
+      return `#### ${title}\n${lines.join('\n')}`;
     });
 
-    return `### Please review your information\n\n${lines.join('\n')}\n\nIf anything looks incorrect or needs to be updated, just tell me (for example, \\"Change my birth year to 1987\\" or \\"I don't have a partner\\").\n\nWhen everything looks good, type **approved** to finalize.`;
+    if (notAnswered.length > 0) {
+      const lines = notAnswered.map(({ slotName, value }) =>
+        `- **${makeSlotLabel(schema.slots[slotName], slotName)}:** ${formatSlotValue(schema.slots[slotName], value)}`
+      );
+      sections.push(`#### Not answered\n${lines.join('\n')}`);
+    }
+
+    // Answers that do not fit together (the clinician summary lists these too)
+    const issues = checkDataConsistency(filledSlots, schema);
+    if (issues.length > 0) {
+      const lines = issues.map(issue => `- ${issue.message}`);
+      sections.push(`#### Please double-check\n${lines.join('\n')}`);
+    }
+
+    // Required answers that must be given before approval
+    const missing = getMissingRequiredSlots(filledSlots, schema);
+    if (missing.length > 0) {
+      const lines = missing.map(slotName => `- ${makeSlotLabel(schema.slots[slotName], slotName)}`);
+      sections.push(`#### Still needed before you can approve\n${lines.join('\n')}`);
+    }
+
+    // Review wording comes from the questionnaire definition
+    const review = { ...DEFAULT_REVIEW_WORDING, ...(schema.review || {}) };
+    return `### ${review.title}\n\n${sections.join('\n\n')}\n\n${review.instructions}\n\n${review.approve_prompt}`;
+  }
+
+  // Approval requires every required slot on the patient's path to be answered.
+  // Otherwise list what is missing and go back into the interview for just those
+  // slots; skipped markers are cleared so they are asked again.
+  checkApproval(filledSlots, schema = this.schema) {
+    const missing = getMissingRequiredSlots(filledSlots, schema);
+    if (missing.length === 0) return { approved: true };
+
+    let reopenedSlots = { ...filledSlots };
+    for (const slotName of missing) {
+      if (isAnswerState(reopenedSlots[slotName])) delete reopenedSlots[slotName];
+    }
+    reopenedSlots = updateComputedSlots(reopenedSlots, schema);
+
+    const missingList = missing
+      .map(slotName => `- ${makeSlotLabel(schema.slots[slotName], slotName)}`)
+      .join('\n');
+    const nextQuestion = this.getNextQuestion(reopenedSlots, schema);
+
+    console.log('\nApproval Blocked:');
+    console.log('------------------');
+    console.log('Missing required slots:', missing.join(', '));
+    console.log('------------------\n');
+
+    return {
+      approved: false,
+      success: true,
+      isReview: false,
+      filledSlots: reopenedSlots,
+      missingSlots: missing,
+      ...nextQuestion,
+      message: `Before I can finalize, I still need a few required answers:\n\n${missingList}\n\nLet's go back to those.\n\n${nextQuestion.message}`
+    };
   }
 
   // Apply corrections (LLM-driven plus regex fallback) provided by the patient
-  async applyCorrections(userResponse, filledSlots) {
+  async applyCorrections(userResponse, filledSlots, schema = this.schema) {
     let updated = { ...filledSlots };
 
     try {
@@ -152,56 +488,72 @@ class DialogManager {
 
       const parser = StructuredOutputParser.fromZodSchema(correctionsSchema);
 
+      // Rendered as in the review: tables as markdown, answer states as words
       const slotContext = Object.entries(filledSlots)
-        .map(([name, val]) => `${name}: ${val}`)
+        .map(([name, val]) => {
+          const slotConfig = schema.slots[name];
+          return slotConfig?.type === 'table'
+            ? `${name}:\n${formatSlotValue(slotConfig, val)}`
+            : `${name}: ${formatSlotValue(slotConfig, val)}`;
+        })
         .join('\n');
 
       const formatInstr = parser.getFormatInstructions();
 
       const prompt = `You are updating collected patient information. Here is the current data:\n${slotContext}\n\nPatient says: "${userResponse}"\n\nIdentify any corrections or updates the patient is asking for. Output ONLY JSON according to these instructions:\n${formatInstr}`;
 
-      const llm = this.llm; // reuse instance
-
-      const llmResp = await llm.invoke(prompt);
-      const cleaned = llmResp.content.replace(/```json\n?|\n?```/g, '').trim();
+      const parsed = await invokeStructured('corrections', this.llm, prompt, correctionsSchema);
 
-      let parsed;
-      try {
-        parsed = JSON.parse(cleaned);
-      } catch (err) {
-        parsed = await parser.parse(llmResp.content).catch(() => null);
-      }
-
-      if (parsed && parsed.corrections && Array.isArray(parsed.corrections)) {
-        for (const { slotName, newValue } of parsed.corrections) {
-          if (SLOT_SCHEMA.slots[slotName]) {
-            if (updated[slotName] !== newValue) {
-              updated[slotName] = newValue;
-              await interviewMemory.saveInteraction(`Correction for ${slotName}`, userResponse, newValue, slotName);
-            }
+      for (const correction of parsed.corrections) {
+        const { slotName, value: newValue, inferred } = inferPartnerStatus(
+          { slotName: correction.slotName, value: correction.newValue },
+          userResponse
+        );
+        if (schema.slots[slotName]) {
+          const validation = validateSlotValue(slotName, newValue, schema);
+          if (!validation.isValid) {
+            console.warn(`Ignoring invalid correction for ${slotName}:`, validation.error);
+            continue;
+          }
+          // Inferred values are confirmed with the patient before they replace the answer
+          if (inferred) {
+            delete updated[slotName];
+            this.queueConfirmation(slotName, validation.value, userResponse, 'Inferred rather than stated', {
+              method: 'inference',
+              confidence: null
+            });
+            continue;
+          }
+          // A corrected table replaces the collected rows in full
+          if (schema.slots[slotName].type === 'table') {
+            validation.value.complete = true;
+          }
+          if (updated[slotName] !== validation.value) {
+            updated[slotName] = validation.value;
+            this.setProvenance(slotName, 'correction', { source: userResponse });
+            await this.recordInteraction(`Correction for ${slotName}`, userResponse, validation.value, slotName);
           }
         }
       }
     } catch (llmErr) {
+      // Without the model the review is answered in degraded mode (see index.js)
+      if (llmErr instanceof LLMUnavailableError) throw llmErr;
       console.warn('LLM correction parsing failed, falling back to regex:', llmErr.message);
     }
 
-    const lower = userResponse.toLowerCase();
-
-    // Helper to convert yes/ no phrases to boolean if slot seems boolean (starts with has_/is_ or existing value boolean)
+    // Helper to store a corrected value in the canonical form of the slot's type
     const assignValue = (slot, val) => {
-      const current = filledSlots[slot];
-      const looksBoolean = typeof current === 'boolean' || /^(has_|is_)/.test(slot);
-      if (looksBoolean) {
-        const v = String(val).toLowerCase();
-        if (/^(yes|true|y|have|with|married)/i.test(v)) { updated[slot] = true; return; }
-        if (/^(no|false|n|single|none|without)/i.test(v)) { updated[slot] = false; return; }
+      const validation = validateSlotValue(slot, String(val).trim(), schema);
+      if (validation.isValid) {
+        updated[slot] = validation.value;
+        this.setProvenance(slot, 'regex_fallback', { source: userResponse });
+      } else {
+        console.warn(`Ignoring invalid correction for ${slot}:`, validation.error);
       }
-      updated[slot] = String(val).trim();
     };
 
     // 1. Strict "field: value" or "field = value" pattern
-    for (const slotName of Object.keys(SLOT_SCHEMA.slots)) {
+    for (const slotName of Object.keys(schema.slots)) {
       const slotPattern = slotName.replace(/_/g, '[ _]');
       const regex = new RegExp(`${slotPattern}\\s*[:=]\\s*(.+)`, 'i');
       const match = userResponse.match(regex);
@@ -209,13 +561,13 @@ class DialogManager {
         const before = updated[slotName];
         assignValue(slotName, match[1]);
         if (before !== updated[slotName]) {
-          await interviewMemory.saveInteraction(`Correction for ${slotName}`, userResponse, updated[slotName], slotName);
+          await this.recordInteraction(`Correction for ${slotName}`, userResponse, updated[slotName], slotName);
         }
       }
     }
 
     // 2. Generic natural-language patterns per slot (no hard-coded aliases)
-    for (const slotName of Object.keys(SLOT_SCHEMA.slots)) {
+    for (const slotName of Object.keys(schema.slots)) {
       const words = slotName.replace(/_/g, ' ');
       // change my <words> to VALUE
       const regex1 = new RegExp(`(?:change|update|correct|set).{0,40}${words}.{0,20}(?:to|is|=)\\s+(.+)`, 'i');
@@ -226,45 +578,58 @@ class DialogManager {
         const before = updated[slotName];
         assignValue(slotName, m[1]);
         if (before !== updated[slotName]) {
-          await interviewMemory.saveInteraction(`Correction for ${slotName}`, userResponse, updated[slotName], slotName);
+          await this.recordInteraction(`Correction for ${slotName}`, userResponse, updated[slotName], slotName);
         }
       }
-
-      // Additional generic booleans: "I am <word>" where word matches yes/no patterns
-      if (/\bi am single\b/i.test(lower) && /has_partner/.test(slotName)) {
-        updated[slotName] = false;
-        await interviewMemory.saveInteraction(`Correction for ${slotName}`, userResponse, false, slotName);
-      }
-      if (/\bmarried\b|\bspouse\b|\bhusband\b|\bwife\b/.test(lower) && /has_partner/.test(slotName)) {
-        updated[slotName] = true;
-        await interviewMemory.saveInteraction(`Correction for ${slotName}`, userResponse, true, slotName);
-      }
     }
 
-    return updated;
+    return this.settleSlots(updated, schema);
   }
 
-  // Process multiple slot extractions from router
-  async processMultipleExtractions(extractions, filledSlots) {
+  // Process multiple slot extractions from router. Values the plausibility check
+  // questions, inferred values and values in the confirmation band are held back
+  // in uncertainExtractions for the patient to confirm instead of being stored.
+  async processMultipleExtractions(extractions, filledSlots, userResponse, schema = this.schema) {
     const updatedSlots = { ...filledSlots };
     const successfulExtractions = [];
     const failedExtractions = [];
+    const uncertainExtractions = [];
 
     for (const extraction of extractions) {
       const { slotName, value, confidence } = extraction;
+      const method = extraction.inferred ? 'inference' : 'multi_extraction';
       
-      // Validate the extracted value
-      const validation = validateSlotValue(slotName, value);
-      if (validation.isValid && confidence >= 0.7) {
-        updatedSlots[slotName] = value;
-        successfulExtractions.push({ slotName, value, confidence });
+      // Validate and normalize the extracted value
+      const validation = validateSlotValue(slotName, value, schema);
+      if (validation.isValid && confidence >= this.session.settings.confirmationBand.min) {
+        const plausibility = await this.checkPlausibility(slotName, validation.value, userResponse, updatedSlots, schema);
+        const held = { slotName, value: validation.value, confidence, method, reasoning: plausibility.reasoning };
+        if (plausibility.status === 'error') {
+          failedExtractions.push({ ...held, error: plausibility.reasoning });
+          continue;
+        }
+        if (plausibility.status === 'warning') {
+          uncertainExtractions.push(held);
+          continue;
+        }
+        if (this.needsConfirmation(method, confidence)) {
+          uncertainExtractions.push({
+            ...held,
+            reasoning: method === 'inference' ? 'Inferred rather than stated' : `Extraction confidence ${confidence}`
+          });
+          continue;
+        }
+
+        updatedSlots[slotName] = validation.value;
+        this.setProvenance(slotName, method, { source: userResponse, confidence });
+        successfulExtractions.push({ slotName, value: validation.value, confidence, method });
         
         // Save to memory
-        const slotConfig = SLOT_SCHEMA.slots[slotName];
-        await interviewMemory.saveInteraction(
+        const slotConfig = schema.slots[slotName];
+        await this.recordInteraction(
           slotConfig.question, 
           `[Multi-extraction] ${value}`, 
-          value, 
+          validation.value, 
           slotName
         );
       } else {
@@ -276,6 +641,7 @@ class DialogManager {
     console.log('------------------');
     console.log('Successful extractions:', successfulExtractions.length);
     console.log('Failed extractions:', failedExtractions.length);
+    console.log('Extractions to confirm:', uncertainExtractions.length);
     successfulExtractions.forEach(ext => {
       console.log(`✓ ${ext.slotName}: ${ext.value}`);
     });
@@ -285,163 +651,756 @@ class DialogManager {
     console.log('------------------\n');
 
     return {
-      updatedSlots,
+      updatedSlots: this.settleSlots(updatedSlots, schema),
       successfulExtractions,
-      failedExtractions
+      failedExtractions,
+      uncertainExtractions
+    };
+  }
+
+  // Check an extracted value before it is accepted: the slot's format rules, then
+  // (with advanced validation on) an LLM plausibility check against the answers so far.
+  // Returns { status: 'ok' | 'warning' | 'error', reasoning }.
+  async checkPlausibility(slotName, value, userResponse, filledSlots, schema = this.schema) {
+    const slotConfig = schema.slots[slotName];
+    if (!slotConfig || slotConfig.type === 'table') return { status: 'ok', reasoning: null };
+
+    if (!quickFormatValidation(slotName, value, schema)) {
+      return { status: 'error', reasoning: `That doesn't look like a valid answer (${describeSlotType(slotConfig)})` };
+    }
+    if (!this.session.settings.advancedValidation) return { status: 'ok', reasoning: null };
+
+    // Plain answers (and computed values) give the check its context
+    const knownAnswers = Object.fromEntries(
+      Object.entries(filledSlots).filter(([, answer]) => answer !== null && typeof answer !== 'object')
+    );
+    let result;
+    try {
+      result = await validateExtractedValue(slotName, value, userResponse, slotConfig.question, {
+        questionnaire: schema.title,
+        knownAnswers
+      });
+    } catch (error) {
+      if (error instanceof LLMUnavailableError) throw error;
+      // An unchecked value is confirmed with the patient rather than trusted
+      console.error('Plausibility check failed:', error.message);
+      return { status: 'warning', reasoning: 'The automatic plausibility check could not be completed' };
+    }
+
+    if (!result.isValid && result.severity === 'error') return { status: 'error', reasoning: result.reasoning };
+    if (!result.isValid || result.severity === 'warning') return { status: 'warning', reasoning: result.reasoning };
+    return { status: 'ok', reasoning: null };
+  }
+
+  // Hold a value back until the patient confirms it: it was questioned by the
+  // plausibility check, inferred rather than stated, or extracted with a confidence
+  // in the confirmation band. Confirmations for the current slot are asked first;
+  // getNextQuestion asks the queue before any new question. `provenance`
+  // ({ method, confidence }) is kept so the stored value cites the original answer.
+  queueConfirmation(slotName, value, userResponse, reasoning, provenance) {
+    const held = {
+      slot: slotName,
+      value,
+      reasoning,
+      provenance: { ...provenance, source: userResponse, turn: this.session.turn }
+    };
+    const queue = this.session.pendingConfirmations.filter(pending => pending.slot !== slotName);
+    this.session.pendingConfirmations = slotName === this.session.currentSlot ? [held, ...queue] : [...queue, held];
+
+    console.log('\nConfirmation Queued:');
+    console.log('------------------');
+    console.log('Slot:', slotName);
+    console.log('Value:', value);
+    console.log('Reasoning:', reasoning);
+    console.log('Queue:', this.session.pendingConfirmations.map(pending => pending.slot).join(', '));
+    console.log('------------------\n');
+  }
+
+  // Hold the answer to the current slot for confirmation and ask for it
+  async requestConfirmation(slotName, value, userResponse, reasoning, provenance, filledSlots, schema = this.schema) {
+    await this.recordInteraction(getSlotQuestion(slotName, filledSlots, schema), userResponse, null, slotName);
+    this.queueConfirmation(slotName, value, userResponse, reasoning, provenance);
+    return {
+      success: true,
+      filledSlots,
+      ...this.getNextQuestion(filledSlots, schema)
+    };
+  }
+
+  // The yes/no question for a held value
+  makeConfirmationQuestion(pending, filledSlots, schema = this.schema) {
+    const slotConfig = schema.slots[pending.slot];
+    return {
+      isComplete: false,
+      slot: pending.slot,
+      message: `Just to confirm: ${makeSlotLabel(slotConfig, pending.slot)}? I have **${formatSlotValue(slotConfig, pending.value)}**. Is that right? (yes/no)`,
+      canonicalQuestion: getSlotQuestion(pending.slot, filledSlots, schema),
+      isConfirmation: true
+    };
+  }
+
+  // Handle the reply to a confirmation: "yes" accepts the held value, "no" asks
+  // the question again, and anything else ("no, it's 65 kg") is a new answer
+  async resolveConfirmation(pending, userResponse, filledSlots, schema = this.schema) {
+    this.session.pendingConfirmations = this.session.pendingConfirmations.filter(held => held.slot !== pending.slot);
+
+    const reply = SLOT_TYPES.boolean.normalize(userResponse);
+    if (reply.isValid && reply.value === true) {
+      return this.acceptSlotValue(pending.slot, userResponse, pending.value, { ...pending.provenance, confirmed: true }, filledSlots, schema);
+    }
+
+    const newAnswer = reply.isValid
+      ? userResponse.replace(/^\s*(no|nope|not (quite|really|exactly)|that'?s (wrong|not right))\b[\s,.!:-]*/i, '').trim()
+      : userResponse;
+    if (!newAnswer) {
+      const question = getSlotQuestion(pending.slot, filledSlots, schema);
+      await this.recordInteraction(question, userResponse, null, pending.slot);
+      return { success: true, filledSlots, isComplete: false, slot: pending.slot, message: question };
+    }
+    return this.processResponse(pending.slot, newAnswer, filledSlots, schema);
+  }
+
+  // Store an accepted value for the current slot and move on to the next question.
+  // `provenance` is { method, confidence } plus, for confirmed values, the original source and turn.
+  async acceptSlotValue(currentSlot, userResponse, value, provenance, filledSlots, schema = this.schema) {
+    const updatedSlots = this.settleSlots({
+      ...filledSlots,
+      [currentSlot]: value
+    }, schema);
+    const { method, ...details } = provenance;
+    this.setProvenance(currentSlot, method, { source: userResponse, ...details });
+
+    // Save successful interaction to memory
+    await this.recordInteraction(getSlotQuestion(currentSlot, filledSlots, schema), userResponse, value, currentSlot);
+
+    // Log the current state of slots
+    console.log('\nCurrent Slot State:');
+    console.log('------------------');
+    console.log('Current Slot:', currentSlot);
+    console.log('User Response:', userResponse);
+    console.log('Normalized Value:', value);
+    console.log('All Filled Slots:', JSON.stringify(updatedSlots, null, 2));
+    console.log('------------------\n');
+
+    // Get next question
+    const nextQuestion = this.getNextQuestion(updatedSlots, schema);
+
+    return {
+      success: true,
+      filledSlots: updatedSlots,
+      ...nextQuestion
+    };
+  }
+
+  // Record that a slot was declined, not known or skipped so the interview moves past it.
+  // A table that already has rows is closed with the rows it has.
+  async recordAnswerState(slotName, answerState, userResponse, filledSlots, reason = null, schema = this.schema) {
+    const slotConfig = schema.slots[slotName];
+    const existingRows = filledSlots[slotName]?.rows || [];
+    const value = slotConfig?.type === 'table' && existingRows.length > 0
+      ? { rows: existingRows, complete: true }
+      : makeAnswerState(answerState, reason);
+
+    const updatedSlots = this.settleSlots({
+      ...filledSlots,
+      [slotName]: value
+    }, schema);
+    if (isAnswerState(value)) this.setProvenance(slotName, 'answer_state', { source: userResponse });
+
+    await this.recordInteraction(
+      getSlotQuestion(slotName, filledSlots, schema),
+      userResponse,
+      value,
+      slotName
+    );
+
+    console.log('\nAnswer State Recorded:');
+    console.log('------------------');
+    console.log('Slot:', slotName);
+    console.log('State:', answerState);
+    console.log('------------------\n');
+
+    return {
+      success: true,
+      filledSlots: updatedSlots,
+      ...this.getNextQuestion(updatedSlots, schema)
+    };
+  }
+
+  // Skip a slot the patient could not answer after repeated attempts
+  async skipSlot(slotName, filledSlots, schema = this.schema) {
+    this.session.pendingConfirmations = this.session.pendingConfirmations.filter(pending => pending.slot !== slotName);
+    if (!schema.slots[slotName]) {
+      return { success: true, filledSlots, ...this.getNextQuestion(filledSlots, schema) };
+    }
+    return this.recordAnswerState(slotName, 'skipped', '(skipped after repeated attempts)', filledSlots, null, schema);
+  }
+
+  // Handle "go back", "skip this" and "I'll answer later" (see navigation.js)
+  async handleNavigation(intent, currentSlot, userResponse, filledSlots, schema = this.schema) {
+    console.log('\nNavigation:');
+    console.log('------------------');
+    console.log('Intent:', intent);
+    console.log('Current Slot:', currentSlot);
+    console.log('------------------\n');
+
+    // A value held for confirmation is dropped along with the question
+    this.session.pendingConfirmations = this.session.pendingConfirmations.filter(pending => pending.slot !== currentSlot);
+
+    if (intent === 'back') return this.goBack(currentSlot, userResponse, filledSlots, schema);
+
+    // Putting off a question that was already put off once skips it
+    const current = filledSlots[currentSlot];
+    const alreadyDeferred = getAnswerState(current) === 'skipped' && current.reason === 'deferred';
+    const reason = intent === 'later' && !alreadyDeferred ? 'deferred' : null;
+    return this.recordAnswerState(currentSlot, 'skipped', userResponse, filledSlots, reason, schema);
+  }
+
+  // Reopen the last answered question on the path before `currentSlot` (or
+  // before the review when it is null). Its answer is cleared so re-walking the
+  // path asks it next; the new answer then drops any slots it takes off the path.
+  async goBack(currentSlot, userResponse, filledSlots, schema = this.schema) {
+    const previousSlot = getPreviousSlot(currentSlot, filledSlots, schema);
+    if (currentSlot) {
+      await this.recordInteraction(getSlotQuestion(currentSlot, filledSlots, schema), userResponse, null, currentSlot);
+    }
+
+    if (!previousSlot) {
+      const next = this.getNextQuestion(filledSlots, schema);
+      return {
+        success: true,
+        filledSlots,
+        ...next,
+        message: `This is the first question, so there is nothing to go back to.\n\n${next.message}`,
+        canonicalQuestion: next.message
+      };
+    }
+
+    const { [previousSlot]: previousValue, ...remaining } = filledSlots;
+    const updatedSlots = updateComputedSlots(remaining, schema);
+    this.session.pendingConfirmations = this.session.pendingConfirmations.filter(pending => pending.slot !== previousSlot);
+    const next = this.getNextQuestion(updatedSlots, schema);
+    const slotConfig = schema.slots[previousSlot];
+
+    return {
+      success: true,
+      filledSlots: updatedSlots,
+      ...next,
+      isNavigation: true,
+      message: `Sure, let's go back. Your previous answer was **${formatSlotValue(slotConfig, previousValue)}**.\n\n${next.message}`,
+      canonicalQuestion: next.canonicalQuestion || next.message
+    };
+  }
+
+  // Answer a question the patient asked instead of answering ("what counts as
+  // trying?") from clinic-approved content only, then ask the pending question again
+  async answerPatientQuestion(currentSlot, userResponse, filledSlots, schema = this.schema) {
+    const question = getSlotQuestion(currentSlot, filledSlots, schema);
+    const excerpts = await getApprovedExcerpts(userResponse, currentSlot, schema);
+    const { answer, sources, answered } = await answerFromApprovedContent(userResponse, excerpts, {
+      ...this.getAgentOptions(),
+      systemPrompt: this.getSessionSystemPrompt(),
+      pendingQuestion: question
+    });
+
+    await this.recordInteraction(question, userResponse, null, currentSlot);
+    await this.memory.saveAssistantMessage(answer, sources);
+
+    // `message` has everything for plain clients; `answer`, `sources` and
+    // `resumePrompt` let the frontend show the sources below the answer
+    const resumePrompt = `Whenever you're ready: ${question}`;
+    return {
+      success: true,
+      filledSlots,
+      isComplete: false,
+      slot: currentSlot,
+      message: `${answer}${formatSources(sources)}\n\n${resumePrompt}`,
+      canonicalQuestion: question,
+      isPatientQuestion: true,
+      answer,
+      answered,
+      sources,
+      resumePrompt
+    };
+  }
+
+  // Flag the session with a red flag found in a patient message (kept for the
+  // clinician summary and the system status)
+  recordRedFlag(redFlag, userResponse, slotName = null) {
+    const flag = {
+      category: redFlag.category,
+      label: redFlag.label,
+      source: redFlag.source,
+      utterance: userResponse,
+      slot: slotName,
+      turn: this.session.turn,
+      timestamp: new Date().toISOString(),
+      ...(redFlag.reasoning && { reasoning: redFlag.reasoning })
+    };
+    this.session.redFlags.push(flag);
+
+    console.log('\nRed Flag:');
+    console.log('------------------');
+    console.log('Category:', flag.category, `(${flag.source})`);
+    console.log('User Response:', userResponse);
+    console.log('------------------\n');
+    return flag;
+  }
+
+  // Check a patient message for red flags (red_flags.js) before it is routed.
+  // On a hit the session is flagged and the patient gets the urgent-care message
+  // with the pending question (or the review) after it; returns null otherwise.
+  async checkRedFlags(userResponse, filledSlots, schema = this.schema) {
+    const currentSlot = this.session.phase === 'review' ? null : this.session.currentSlot;
+    const question = currentSlot ? getSlotQuestion(currentSlot, filledSlots, schema) : null;
+    // The wording the patient actually saw (a rephrasing or a confirmation question)
+    const askedQuestion = this.session.lastQuestion?.slot === currentSlot ? this.session.lastQuestion.askedQuestion : question;
+    const redFlag = await detectRedFlag(userResponse, { slotName: currentSlot, question: askedQuestion });
+    if (!redFlag) return null;
+
+    const flag = this.recordRedFlag(redFlag, userResponse, currentSlot);
+    const urgentMessage = getUrgentMessage(redFlag.category);
+    await this.recordInteraction(question || 'Review of collected information', userResponse, null, currentSlot);
+    await this.memory.saveAssistantMessage(urgentMessage);
+
+    // `message` has everything for plain clients; `urgentMessage` and `resumePrompt`
+    // let the frontend show the urgent-care message on its own
+    if (this.session.phase === 'review') {
+      const resumePrompt = this.generateReviewMessage(filledSlots, schema);
+      return {
+        success: true,
+        isReview: true,
+        filledSlots,
+        message: `${urgentMessage}\n\n${resumePrompt}`,
+        isUrgent: true,
+        redFlag: flag,
+        urgentMessage,
+        resumePrompt
+      };
+    }
+
+    const next = currentSlot
+      ? { isComplete: false, slot: currentSlot, message: askedQuestion, canonicalQuestion: question }
+      : this.rememberQuestion(this.getNextQuestion(filledSlots, schema));
+    const resumePrompt = next.slot ? `When you're ready, we can continue: ${next.message}` : next.message;
+    return {
+      success: true,
+      ...next,
+      filledSlots,
+      message: `${urgentMessage}\n\n${resumePrompt}`,
+      isUrgent: true,
+      redFlag: flag,
+      urgentMessage,
+      resumePrompt
+    };
+  }
+
+  // Process a response to a table slot: add the described row(s), or close the table on "no"
+  async processTableResponse(currentSlot, userResponse, filledSlots, schema = this.schema) {
+    const slotConfig = schema.slots[currentSlot];
+    const question = getSlotQuestion(currentSlot, filledSlots, schema);
+    const existingRows = filledSlots[currentSlot]?.rows || [];
+
+    let tableValue;
+    if (isNegativeResponse(userResponse)) {
+      tableValue = { rows: existingRows, complete: true };
+    } else {
+      let extractedRows = [];
+      try {
+        extractedRows = await extractTableRows(userResponse, slotConfig);
+      } catch (error) {
+        if (error instanceof LLMUnavailableError) throw error;
+        // No usable rows: the patient is asked again
+        console.error('Error in table row extraction:', error.message);
+      }
+      const validation = validateSlotValue(currentSlot, extractedRows, schema);
+
+      if (extractedRows.length === 0 || !validation.isValid) {
+        await this.recordInteraction(question, userResponse, null, currentSlot);
+        return {
+          success: false,
+          error: validation.isValid ? slotConfig.question : `${validation.error}. ${slotConfig.question}`,
+          shouldReprompt: true,
+          isClarification: true
+        };
+      }
+
+      tableValue = { rows: [...existingRows, ...validation.value.rows], complete: false };
+    }
+
+    const updatedSlots = updateComputedSlots({
+      ...filledSlots,
+      [currentSlot]: tableValue
+    }, schema);
+    if (tableValue.rows.length > existingRows.length) {
+      this.setProvenance(currentSlot, 'table_extraction', { source: userResponse });
+    } else if (existingRows.length === 0) {
+      this.setProvenance(currentSlot, 'preprocess', { source: userResponse });
+    }
+
+    await this.recordInteraction(question, userResponse, tableValue, currentSlot);
+
+    console.log('\nTable Slot State:');
+    console.log('------------------');
+    console.log('Current Slot:', currentSlot);
+    console.log('Rows:', tableValue.rows.length);
+    console.log('Complete:', tableValue.complete);
+    console.log('------------------\n');
+
+    return {
+      success: true,
+      filledSlots: updatedSlots,
+      ...this.getNextQuestion(updatedSlots, schema)
+    };
+  }
+
+  // Re-ask the current slot with a follow-up question: the router's, when it wrote
+  // one, otherwise one from the clarification chain
+  async askClarification(currentSlot, userResponse, clarification, schema = this.schema) {
+    const slotConfig = schema.slots[currentSlot];
+    await this.recordInteraction(slotConfig.question, userResponse, null, currentSlot);
+
+    const clarificationQuestion = clarification || await generateClarificationQuestion(
+      currentSlot,
+      userResponse,
+      slotConfig,
+      this.getAgentOptions()
+    );
+    return {
+      success: false,
+      error: clarificationQuestion,
+      shouldReprompt: true,
+      isClarification: true
     };
   }
 
   // Process user response with hybrid conversation flow
-  async processResponse(currentSlot, userResponse, filledSlots) {
-    const slotConfig = SLOT_SCHEMA.slots[currentSlot];
+  async processResponse(currentSlot, userResponse, filledSlots, schema = this.schema) {
+    // "Go back", "skip this", "I'll answer later"
+    const navigationIntent = detectNavigationIntent(userResponse);
+    if (navigationIntent) {
+      return this.handleNavigation(navigationIntent, currentSlot, userResponse, filledSlots, schema);
+    }
+
+    // A reply to "Is that right?" about a value held for confirmation
+    const pending = this.session.pendingConfirmations.find(held => held.slot === currentSlot);
+    if (pending) {
+      return this.resolveConfirmation(pending, userResponse, filledSlots, schema);
+    }
+
+    // "I'd rather not say" / "I don't know" are recorded as answer states,
+    // unless the slot accepts the response as a value (e.g. an "unsure" option)
+    const answerState = detectAnswerState(userResponse);
+    if (answerState && !(answerState === 'unknown' && validateSlotValue(currentSlot, userResponse, schema).isValid)) {
+      return this.recordAnswerState(currentSlot, answerState, userResponse, filledSlots, null, schema);
+    }
+
+    // Without the model the schema questions are asked as written and answers
+    // are saved raw (degraded mode)
+    if (!this.isModelAvailable()) {
+      return this.saveRawAnswer(currentSlot, userResponse, filledSlots, schema);
+    }
+    try {
+      return await this.extractAnswer(currentSlot, userResponse, filledSlots, schema);
+    } catch (error) {
+      if (!(error instanceof LLMUnavailableError)) throw error;
+      console.warn('Model unavailable, saving the raw answer:', error.message);
+      return this.saveRawAnswer(currentSlot, userResponse, filledSlots, schema);
+    }
+  }
+
+  // Extract the answer to the current slot with the model: table rows, the hybrid
+  // router or single-slot extraction. Throws LLMUnavailableError when the model
+  // can't be reached.
+  async extractAnswer(currentSlot, userResponse, filledSlots, schema = this.schema) {
+    const slotConfig = schema.slots[currentSlot];
     const question = slotConfig.question;
 
-    // Use hybrid mode if enabled
-    if (this.hybridMode) {
+    // Table slots collect rows until the patient says there are no more
+    if (slotConfig.type === 'table') {
+      return this.processTableResponse(currentSlot, userResponse, filledSlots, schema);
+    }
+
+    // Answers the slot type takes as given need no LLM call
+    let extraction = this.readDirectAnswer(currentSlot, userResponse, schema);
+
+    // Hybrid mode: one router call decides the action, extracts every slot the
+    // response answers and writes any clarification
+    if (!extraction && this.session.settings.hybridMode) {
       try {
-        // Route the user response to determine best action
         const routerResult = await routeUserResponse(
-          currentSlot, 
-          userResponse, 
-          SLOT_SCHEMA.slots,
-          { filledSlots }
+          currentSlot,
+          userResponse,
+          schema.slots,
+          {
+            filledSlots,
+            patientInfo: this.session.settings.patientInfo,
+            minConfidence: this.session.settings.confirmationBand.min
+          }
         );
 
         switch (routerResult.action) {
-          case 'extract':
+          case 'extract': {
             // Process multiple extractions
             const multiResult = await this.processMultipleExtractions(
-              routerResult.extractions, 
-              filledSlots
+              routerResult.extractions,
+              filledSlots,
+              userResponse,
+              schema
             );
 
-            if (multiResult.successfulExtractions.length > 0) {
+            // Held values are confirmed before the interview moves on
+            for (const held of multiResult.uncertainExtractions) {
+              this.queueConfirmation(held.slotName, held.value, userResponse, held.reasoning, {
+                method: held.method,
+                confidence: held.confidence
+              });
+            }
+
+            if (multiResult.successfulExtractions.length > 0 || multiResult.uncertainExtractions.length > 0) {
               // Save the main interaction to memory
-              await interviewMemory.saveInteraction(
-                question, 
-                userResponse, 
-                multiResult.successfulExtractions[0]?.value, 
+              await this.recordInteraction(
+                question,
+                userResponse,
+                multiResult.successfulExtractions.find(ext => ext.slotName === currentSlot)?.value ?? null,
                 currentSlot
               );
 
               // Get next question based on updated slots
-              const nextQuestion = this.getNextQuestion(multiResult.updatedSlots);
+              const nextQuestion = this.getNextQuestion(multiResult.updatedSlots, schema);
 
               return {
                 success: true,
                 filledSlots: multiResult.updatedSlots,
                 extractedSlots: multiResult.successfulExtractions,
+                confirmationSlots: multiResult.uncertainExtractions.map(ext => ext.slotName),
                 isHybridExtraction: true,
                 ...nextQuestion
               };
-            } else {
-              // No successful extractions, fall back to ask
-              await interviewMemory.saveInteraction(question, userResponse, null, currentSlot);
-              const clarificationQuestion = await generateClarificationQuestion(
-                currentSlot,
-                userResponse,
-                slotConfig
-              );
-              return {
-                success: false,
-                error: clarificationQuestion,
-                shouldReprompt: true,
-                isClarification: true
-              };
             }
+            // No successful extractions, ask for clarification
+            return this.askClarification(currentSlot, userResponse, routerResult.clarification, schema);
+          }
 
-          case 'clarify':
-            // Generate clarification question
-            const clarificationQuestion = await generateClarificationQuestion(
-              currentSlot, 
-              userResponse, 
-              slotConfig
-            );
-            
-            await interviewMemory.saveInteraction(question, userResponse, null, currentSlot);
-            
-            return {
-              success: false,
-              error: clarificationQuestion,
-              shouldReprompt: true,
-              isClarification: true
-            };
+          case 'question':
+            return this.answerPatientQuestion(currentSlot, userResponse, filledSlots, schema);
 
           case 'ask':
+          case 'clarify':
           default:
-            // Fall back to standard single-slot processing
-            break;
+            // The router failed: fall back to standard single-slot processing
+            if (routerResult.failed) break;
+            return this.askClarification(currentSlot, userResponse, routerResult.clarification, schema);
         }
       } catch (routerError) {
+        if (routerError instanceof LLMUnavailableError) throw routerError;
         console.warn('Router failed, falling back to standard processing:', routerError.message);
       }
     }
 
-    // Standard single-slot processing (fallback or non-hybrid mode)
-    const extractedValue = await this.extractSlotValue(currentSlot, userResponse);
-    if (!extractedValue) {
-      await interviewMemory.saveInteraction(question, userResponse, null, currentSlot);
-      
-      const clarificationQuestion = await generateClarificationQuestion(
-        currentSlot,
-        userResponse,
-        slotConfig
-      );
+    // Standard single-slot processing (direct answers, router fallback or non-hybrid mode)
+    extraction = extraction || await this.extractSlotValue(currentSlot, userResponse, schema);
+    if (!extraction) {
+      return this.askClarification(currentSlot, userResponse, null, schema);
+    }
 
+    // Validate the extracted value against the slot type
+    const validation = validateSlotValue(currentSlot, extraction.value, schema);
+    if (!validation.isValid) {
+      await this.recordInteraction(question, userResponse, null, currentSlot);
+      
       return {
         success: false,
-        error: clarificationQuestion,
-        shouldReprompt: true,
-        isClarification: true
+        error: validation.error,
+        shouldReprompt: true
       };
     }
 
-    // Validate the extracted value
-    const validation = validateSlotValue(currentSlot, extractedValue);
-    if (!validation.isValid) {
-      await interviewMemory.saveInteraction(question, userResponse, null, currentSlot);
-      
+    // Implausible values are asked again; questionable ones are confirmed first
+    const plausibility = await this.checkPlausibility(currentSlot, validation.value, userResponse, filledSlots, schema);
+    if (plausibility.status === 'error') {
+      await this.recordInteraction(question, userResponse, null, currentSlot);
+
       return {
         success: false,
-        error: validation.error,
+        error: `${plausibility.reasoning.replace(/\.$/, '')}. ${getSlotQuestion(currentSlot, filledSlots, schema)}`,
         shouldReprompt: true
       };
     }
+    const { method, confidence } = extraction;
+    if (plausibility.status === 'warning' || this.needsConfirmation(method, confidence)) {
+      const reasoning = plausibility.reasoning || `Extraction confidence ${confidence}`;
+      return this.requestConfirmation(
+        currentSlot, validation.value, userResponse, reasoning, { method, confidence }, filledSlots, schema
+      );
+    }
 
-    // Update filled slots
-    const updatedSlots = {
-      ...filledSlots,
-      [currentSlot]: extractedValue
-    };
+    // Update filled slots with the normalized value
+    return this.acceptSlotValue(currentSlot, userResponse, validation.value, { method, confidence }, filledSlots, schema);
+  }
 
-    // Save successful interaction to memory
-    await interviewMemory.saveInteraction(question, userResponse, extractedValue, currentSlot);
+  // Degraded mode: the model is unavailable, so the interview goes on with the
+  // schema questions as written. Bare answers the slot type can take without the
+  // model (a yes/no, an exact option, a number, "none"; see readDirectAnswer) are
+  // stored as usual; anything else, even a sentence that contains one, is
+  // kept as a "pending" answer state holding the raw text, which
+  // resolvePendingAnswers extracts once the model is back. Results carry `degraded`.
+  async saveRawAnswer(currentSlot, userResponse, filledSlots, schema = this.schema) {
+    const slotConfig = schema.slots[currentSlot];
+    const question = getSlotQuestion(currentSlot, filledSlots, schema);
 
-    // Log the current state of slots
-    console.log('\nCurrent Slot State:');
-    console.log('------------------');
-    console.log('Current Slot:', currentSlot);
-    console.log('User Response:', userResponse);
-    console.log('Extracted Value:', extractedValue);
-    console.log('All Filled Slots:', JSON.stringify(updatedSlots, null, 2));
-    console.log('------------------\n');
+    // Answering the patient's own questions needs the model
+    if (/\?\s*$/.test(userResponse)) {
+      await this.recordInteraction(question, userResponse, null, currentSlot);
+      return {
+        success: true,
+        degraded: true,
+        filledSlots,
+        isComplete: false,
+        slot: currentSlot,
+        message: `I can't look up answers to questions right now, so please ask your care team at your visit. ${question}`,
+        canonicalQuestion: question
+      };
+    }
 
-    // Get next question
-    const nextQuestion = this.getNextQuestion(updatedSlots);
+    let result = null;
+    const direct = this.readDirectAnswer(currentSlot, userResponse, schema);
+    if (slotConfig.type === 'table' && isBareAnswer(slotConfig, userResponse)) {
+      result = await this.processTableResponse(currentSlot, userResponse, filledSlots, schema);
+    } else if (direct) {
+      const { value, ...provenance } = direct;
+      const { value: normalized } = validateSlotValue(currentSlot, value, schema);
+      result = await this.acceptSlotValue(currentSlot, userResponse, normalized, provenance, filledSlots, schema);
+    }
+
+    if (!result) {
+      // Rows already collected for a table stay with the pending answer
+      const existingRows = filledSlots[currentSlot]?.rows;
+      const updatedSlots = this.settleSlots({
+        ...filledSlots,
+        [currentSlot]: { ...makeAnswerState('pending'), raw: userResponse, ...(existingRows && { rows: existingRows }) }
+      }, schema);
+      this.setProvenance(currentSlot, 'raw_answer', { source: userResponse });
+      await this.recordInteraction(question, userResponse, null, currentSlot);
+
+      console.log('\nRaw Answer Saved:');
+      console.log('------------------');
+      console.log('Current Slot:', currentSlot);
+      console.log('User Response:', userResponse);
+      console.log('------------------\n');
+
+      result = {
+        success: true,
+        filledSlots: updatedSlots,
+        ...this.getNextQuestion(updatedSlots, schema)
+      };
+    }
+    return { ...result, degraded: true };
+  }
+
+  // An answer the slot type takes as given, with no model call: a response that is
+  // nothing but a yes/no, an exact option, or a number, date, email or phone that
+  // validates as typed ("none" for lists; see isBareAnswer). Anything longer goes
+  // to the model, which may find answers to other questions in it. Returns
+  // { value, method, confidence } like extractSlotValue, or null when the model is needed.
+  readDirectAnswer(slotName, userResponse, schema = this.schema) {
+    const slotConfig = schema.slots[slotName];
+    if (slotConfig.type === 'table' || !isBareAnswer(slotConfig, userResponse)) return null;
+
+    const value = preprocessResponse(userResponse, slotConfig) ?? userResponse.trim();
+    return validateSlotValue(slotName, value, schema).isValid ? { value, method: 'preprocess', confidence: null } : null;
+  }
+
+  // Whether any answer is still waiting for the model (see saveRawAnswer)
+  hasPendingAnswers(filledSlots) {
+    return Object.values(filledSlots).some(answer => getAnswerState(answer) === 'pending');
+  }
+
+  // Extract the answers saved raw while the model was unavailable. Values that
+  // can't be used are cleared so their question is asked again; values that need
+  // the patient's yes/no are queued for confirmation. If the model is still
+  // unavailable the remaining answers stay pending. Returns `filledSlots` itself
+  // when nothing changed.
+  async resolvePendingAnswers(filledSlots, schema = this.schema) {
+    const pendingSlots = Object.keys(filledSlots).filter(slotName => getAnswerState(filledSlots[slotName]) === 'pending');
+    if (pendingSlots.length === 0 || !this.isModelAvailable()) return filledSlots;
+
+    const updatedSlots = { ...filledSlots };
+    for (const slotName of pendingSlots) {
+      const { raw, rows: existingRows = [] } = filledSlots[slotName];
+      const { turn } = this.session.slotProvenance[slotName] || {};
+      let outcome;
+      try {
+        outcome = await this.extractPendingAnswer(slotName, raw, existingRows, updatedSlots, schema);
+      } catch (error) {
+        if (!(error instanceof LLMUnavailableError)) throw error;
+        console.warn('Model still unavailable, keeping answers pending:', error.message);
+        break;
+      }
+
+      delete updatedSlots[slotName];
+      if (existingRows.length > 0) updatedSlots[slotName] = { rows: existingRows, complete: false };
+      if (outcome?.confirm) {
+        this.queueConfirmation(slotName, outcome.value, raw, outcome.reasoning, outcome.provenance);
+      } else if (outcome) {
+        updatedSlots[slotName] = outcome.value;
+        const { method, ...details } = outcome.provenance;
+        this.setProvenance(slotName, method, { source: raw, turn, ...details });
+      }
 
+      console.log('\nPending Answer Resolved:');
+      console.log('------------------');
+      console.log('Slot:', slotName);
+      console.log('Raw Answer:', raw);
+      console.log('Outcome:', outcome ? (outcome.confirm ? 'needs confirmation' : 'stored') : 'asked again');
+      console.log('------------------\n');
+    }
+    return this.settleSlots(updatedSlots, schema);
+  }
+
+  // Extract one raw answer: { value, provenance } to store, the same with
+  // `confirm` (and `reasoning`) to confirm first, or null to ask again
+  async extractPendingAnswer(slotName, raw, existingRows, filledSlots, schema = this.schema) {
+    const slotConfig = schema.slots[slotName];
+
+    if (slotConfig.type === 'table') {
+      let extractedRows = [];
+      try {
+        extractedRows = await extractTableRows(raw, slotConfig);
+      } catch (error) {
+        if (error instanceof LLMUnavailableError) throw error;
+        console.error('Error in table row extraction:', error.message);
+      }
+      const validation = validateSlotValue(slotName, extractedRows, schema);
+      if (extractedRows.length === 0 || !validation.isValid) return null;
+      return {
+        value: { rows: [...existingRows, ...validation.value.rows], complete: false },
+        provenance: { method: 'table_extraction' }
+      };
+    }
+
+    const extraction = await this.extractSlotValue(slotName, raw, schema);
+    if (!extraction) return null;
+    const validation = validateSlotValue(slotName, extraction.value, schema);
+    if (!validation.isValid) return null;
+
+    const plausibility = await this.checkPlausibility(slotName, validation.value, raw, filledSlots, schema);
+    if (plausibility.status === 'error') return null;
+    const { method, confidence } = extraction;
     return {
-      success: true,
-      filledSlots: updatedSlots,
-      ...nextQuestion
+      value: validation.value,
+      provenance: { method, confidence },
+      confirm: plausibility.status === 'warning' || this.needsConfirmation(method, confidence),
+      reasoning: plausibility.reasoning || `Extraction confidence ${confidence}`
     };
   }
 
   // Generate a medical summary using enhanced LangChain approach
-  async generateSummary(filledSlots) {
+  async generateSummary(filledSlots, schema = this.schema) {
     try {
       // Get conversation history and metadata
-      const conversationHistory = await interviewMemory.getFormattedConversation();
-      const sessionMetadata = await interviewMemory.getConversationSummary();
+      const conversationHistory = await this.memory.getFormattedConversation();
+      const sessionMetadata = await this.memory.getConversationSummary();
 
       console.log('\nGenerating Enhanced Summary:');
       console.log('------------------');
@@ -455,25 +1414,63 @@ class DialogManager {
         const enhancedSummary = await generateEnhancedSummary(
           filledSlots, 
           conversationHistory, 
-          sessionMetadata
+          sessionMetadata,
+          schema,
+          { ...this.getAgentOptions(), patientInfo: this.session.settings.patientInfo }
         );
-        return enhancedSummary;
+        return `${this.generateRedFlagSection()}${enhancedSummary}\n\n${this.generateAnswerSources(filledSlots, schema)}`;
       } catch (enhancedError) {
+        if (enhancedError instanceof LLMUnavailableError) throw enhancedError;
         console.warn('Enhanced summary failed, falling back to simple summary:', enhancedError.message);
         
         // Fallback to simple summary
-        const simpleSummary = await generateSimpleSummary(filledSlots);
-        return simpleSummary;
+        const simpleSummary = await generateSimpleSummary(filledSlots, schema, {
+          ...this.getAgentOptions(),
+          patientInfo: this.session.settings.patientInfo
+        });
+        return `${this.generateRedFlagSection()}${simpleSummary}\n\n${this.generateAnswerSources(filledSlots, schema)}`;
       }
     } catch (error) {
+      if (error instanceof LLMUnavailableError) throw error;
       console.error('Error generating summary:', error);
       throw new Error('Failed to generate medical summary');
     }
   }
 
+  // Red flags raised during the interview, put at the top of the clinician summary
+  // (empty when there were none)
+  generateRedFlagSection() {
+    const redFlags = this.session.redFlags || [];
+    if (redFlags.length === 0) return '';
+
+    const items = redFlags.map(flag =>
+      `- **${flag.label}** (turn ${flag.turn}, ${flag.source === 'keyword' ? 'keyword rule' : 'safety classifier'}): "${flag.utterance}"`
+    );
+    return `## ⚠️ Urgent: red flags reported during the interview\n\nThe patient was told to seek urgent care.\n\n${items.join('\n')}\n\n`;
+  }
+
+  // Markdown table listing where each answer came from, appended to the clinician summary
+  generateAnswerSources(filledSlots, schema = this.schema) {
+    const provenance = this.getProvenance(filledSlots, schema);
+    const cell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+    const rows = groupSlotsBySection(filledSlots, schema).flatMap(({ entries }) =>
+      entries.map(({ slotName, value }) => {
+        const slotConfig = getSlotConfig(slotName, schema);
+        const shownValue = slotConfig?.type === 'table' && !isAnswerState(value)
+          ? `${value.rows.length} item(s)`
+          : formatSlotValue(slotConfig, value);
+        const source = provenance[slotName]?.source;
+        return `| ${cell(makeSlotLabel(slotConfig, slotName))} | ${cell(shownValue)} | ${cell(describeProvenance(provenance[slotName]))} | ${source ? `"${cell(source)}"` : ''} |`;
+      })
+    );
+
+    return `### Answer Sources\n\n| Item | Value | How it was captured | Patient's words |\n|---|---|---|---|\n${rows.join('\n')}`;
+  }
+
   // Get conversation statistics
   async getConversationStats() {
-    return await interviewMemory.getConversationSummary();
+    return await this.memory.getConversationSummary();
   }
 }
 
@@ -1,11 +1,17 @@
 const express = require('express');
 const cors = require('cors');
 const { config } = require('dotenv');
-const fs = require('fs');
-const path = require('path');
-const { ChatOpenAI } = require('@langchain/openai');
 const { Client } = require('langsmith');
-const DialogManager = require('./dialog_manager');
+const { getQuestionnaire, listQuestionnaires } = require('./slot_schema');
+const { sessionStore } = require('./session_store');
+const { detectNavigationIntent } = require('./navigation');
+const { getDefaultSystemPrompt, getSystemPrompt, setSystemPrompt } = require('./prompts');
+const { searchApprovedScripts } = require('./approved_content');
+const { rewriteQuestion, answerFromApprovedContent } = require('./chains/questionAnswerChain');
+const { detectRedFlag, getUrgentMessage } = require('./red_flags');
+const { getChainConfig } = require('./llm_provider');
+const { measureTurns, getTurnMetrics } = require('./llm_metrics');
+const { LLMUnavailableError, getCircuitStatus } = require('./llm_resilience');
 
 // Load environment variables
 config();
@@ -32,26 +38,65 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-// Load and manage system prompt
-let systemPrompt = fs.readFileSync(path.join(__dirname, 'system_prompt.txt'), 'utf-8');
+// Log latency and LLM calls for every interview turn
+app.use('/api/interview-next', measureTurns);
 
-// Initialize OpenAI client for summary generation
-const summaryLLM = new ChatOpenAI({ 
-  model: "gpt-4o-mini", 
-  temperature: 0.3, 
-  maxTokens: 1000, 
-  openAIApiKey: process.env.OPENAI_API_KEY,
-  tags: ["production", "medical-interview"]
-});
+// Resolve the interview session named by `sessionId` in the body or query string.
+// Sends a 404 and returns null when it is unknown or expired.
+function findSession(req, res) {
+  const sessionId = req.body?.sessionId || req.query.sessionId;
+  const session = sessionStore.getSession(sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Unknown or expired session. Please start a new interview.' });
+    return null;
+  }
+  return session;
+}
 
-// Initialize dialog manager
-const dialogManager = new DialogManager();
+// Store the slots, current slot and phase produced by a turn on the session
+function recordTurn(session, result) {
+  sessionStore.updateSession(session, {
+    filledSlots: result.filledSlots || session.filledSlots,
+    currentSlot: result.slot ?? null,
+    phase: result.isReview ? 'review' : 'interview'
+  });
+}
+
+// Review-phase reply while the model is unavailable: the answers are kept and the
+// patient is asked to try again later (`action` is what could not be done)
+function degradedReview(filledSlots, action) {
+  return {
+    isReview: true,
+    degraded: true,
+    filledSlots,
+    message: `The assistant is having technical difficulties, so I can't ${action} right now. Your answers are saved; please try again in a few minutes.`
+  };
+}
+
+// Check session configuration sent by the UI: { agentSettings: { temperature,
+// maxTokens }, patientInfo, systemPrompt }, all optional. Returns { config }
+// for DialogManager.setSessionConfig, or { error }.
+function parseSessionConfig({ agentSettings = {}, patientInfo, systemPrompt } = {}) {
+  const { temperature, maxTokens } = agentSettings || {};
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    return { error: 'agentSettings.temperature must be a number between 0 and 2' };
+  }
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 4000)) {
+    return { error: 'agentSettings.maxTokens must be an integer between 1 and 4000' };
+  }
+  if (patientInfo !== undefined && typeof patientInfo !== 'string') {
+    return { error: 'patientInfo must be a string' };
+  }
+  if (systemPrompt !== undefined && (typeof systemPrompt !== 'string' || !systemPrompt.trim())) {
+    return { error: 'systemPrompt must be a non-empty string' };
+  }
+  return { config: { temperature, maxTokens, patientInfo: patientInfo?.trim(), systemPrompt } };
+}
 
 // GET endpoint for default system prompt
 app.get('/api/system-prompt/default', (req, res) => {
   try {
-    const defaultPrompt = fs.readFileSync(path.join(__dirname, 'system_prompt.txt'), 'utf-8');
-    res.json({ prompt: defaultPrompt });
+    res.json({ prompt: getDefaultSystemPrompt() });
   } catch (error) {
     console.error('Error reading default system prompt:', error);
     res.status(500).json({ error: 'Failed to read default system prompt' });
@@ -61,7 +106,7 @@ app.get('/api/system-prompt/default', (req, res) => {
 // GET endpoint for current system prompt
 app.get('/api/system-prompt', (req, res) => {
   try {
-    res.json({ prompt: systemPrompt });
+    res.json({ prompt: getSystemPrompt() });
   } catch (error) {
     console.error('Error reading system prompt:', error);
     res.status(500).json({ error: 'Failed to read system prompt' });
@@ -75,18 +120,66 @@ app.put('/api/system-prompt', (req, res) => {
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
-    systemPrompt = prompt;
-    res.json({ success: true, prompt: systemPrompt });
+    res.json({ success: true, prompt: setSystemPrompt(prompt) });
   } catch (error) {
     console.error('Error updating system prompt:', error);
     res.status(500).json({ error: 'Failed to update system prompt' });
   }
 });
 
+// Patient Q&A outside the interview: rewrite the question with the conversation
+// so far (rewrite_prompt.txt), retrieve excerpts from the indexed video scripts
+// and answer with the system prompt, citing them as [[n]]. When no excerpt is
+// similar enough the patient is referred to their care team instead.
+// Questions are checked for red flags first, like interview answers; with a
+// sessionId the flag is recorded on that session.
+// Body: { question, history: [{ from: 'user' | 'bot', text }], sessionId? }
+app.post('/api/ask', async (req, res) => {
+  try {
+    const { question, history = [], sessionId } = req.body;
+    if (typeof question !== 'string' || !question.trim()) {
+      return res.status(400).json({ error: 'question is required' });
+    }
+    if (!Array.isArray(history)) {
+      return res.status(400).json({ error: 'history must be an array of { from, text } messages' });
+    }
+
+    const redFlag = await detectRedFlag(question.trim());
+    if (redFlag) {
+      const session = sessionStore.getSession(sessionId);
+      if (session) {
+        session.dialogManager.recordRedFlag(redFlag, question.trim());
+        sessionStore.updateSession(session, {});
+      }
+      return res.json({ answer: getUrgentMessage(redFlag.category), answered: false, sources: [], isUrgent: true, redFlag });
+    }
+
+    // A session's own system prompt and agent settings apply to its questions
+    const session = sessionStore.getSession(sessionId);
+    const answerOptions = session
+      ? { ...session.dialogManager.getAgentOptions(), systemPrompt: session.dialogManager.getSessionSystemPrompt() }
+      : {};
+
+    const rewrittenQuestion = await rewriteQuestion(question.trim(), history);
+    const excerpts = await searchApprovedScripts(rewrittenQuestion);
+    const { answer, sources, answered } = await answerFromApprovedContent(rewrittenQuestion, excerpts, answerOptions);
+    res.json({ answer, answered, sources, rewrittenQuestion });
+  } catch (error) {
+    console.error('Error answering question:', error);
+    if (error instanceof LLMUnavailableError) {
+      return res.status(503).json({ error: 'The assistant is temporarily unavailable. Please try again in a few minutes.', degraded: true });
+    }
+    res.status(500).json({ error: 'Failed to answer question' });
+  }
+});
+
 // GET endpoint for conversation statistics
 app.get('/api/conversation-stats', async (req, res) => {
   try {
-    const stats = await dialogManager.getConversationStats();
+    const session = findSession(req, res);
+    if (!session) return;
+
+    const stats = await session.dialogManager.getConversationStats();
     res.json(stats);
   } catch (error) {
     console.error('Error getting conversation stats:', error);
@@ -101,8 +194,11 @@ app.post('/api/hybrid-mode', (req, res) => {
     if (typeof enabled !== 'boolean') {
       return res.status(400).json({ error: 'enabled must be a boolean' });
     }
+    const session = findSession(req, res);
+    if (!session) return;
     
-    dialogManager.setHybridMode(enabled);
+    session.dialogManager.setHybridMode(enabled);
+    sessionStore.updateSession(session, {});
     res.json({ success: true, hybridMode: enabled });
   } catch (error) {
     console.error('Error toggling hybrid mode:', error);
@@ -110,11 +206,23 @@ app.post('/api/hybrid-mode', (req, res) => {
   }
 });
 
-// POST endpoint to reset interview session
+// POST endpoint to reset an interview session (only the caller's session)
 app.post('/api/reset-session', async (req, res) => {
   try {
-    await dialogManager.initializeSession();
-    res.json({ success: true, message: 'Interview session reset successfully' });
+    const session = findSession(req, res);
+    if (!session) return;
+
+    await sessionStore.resetSession(session);
+    const firstQuestion = await session.dialogManager.applyContextAwareness(
+      session.dialogManager.getNextQuestion(session.filledSlots)
+    );
+    recordTurn(session, firstQuestion);
+    res.json({
+      success: true,
+      sessionId: session.id,
+      message: 'Interview session reset successfully',
+      firstQuestion
+    });
   } catch (error) {
     console.error('Error resetting session:', error);
     res.status(500).json({ error: 'Failed to reset interview session' });
@@ -128,8 +236,11 @@ app.post('/api/context-aware-mode', (req, res) => {
     if (typeof enabled !== 'boolean') {
       return res.status(400).json({ error: 'enabled must be a boolean' });
     }
+    const session = findSession(req, res);
+    if (!session) return;
     
-    dialogManager.setContextAwareMode(enabled);
+    session.dialogManager.setContextAwareMode(enabled);
+    sessionStore.updateSession(session, {});
     res.json({ success: true, contextAwareMode: enabled });
   } catch (error) {
     console.error('Error toggling context-aware mode:', error);
@@ -144,8 +255,11 @@ app.post('/api/advanced-validation', (req, res) => {
     if (typeof enabled !== 'boolean') {
       return res.status(400).json({ error: 'enabled must be a boolean' });
     }
+    const session = findSession(req, res);
+    if (!session) return;
     
-    dialogManager.setAdvancedValidation(enabled);
+    session.dialogManager.setAdvancedValidation(enabled);
+    sessionStore.updateSession(session, {});
     res.json({ success: true, advancedValidation: enabled });
   } catch (error) {
     console.error('Error toggling advanced validation:', error);
@@ -153,10 +267,52 @@ app.post('/api/advanced-validation', (req, res) => {
   }
 });
 
+// POST endpoint to update a session's agent settings, patient info and system prompt
+// (the fields sent when it started; omitted fields are kept)
+app.post('/api/session-config', (req, res) => {
+  try {
+    const { config, error } = parseSessionConfig(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const session = findSession(req, res);
+    if (!session) return;
+
+    session.dialogManager.setSessionConfig(config);
+    sessionStore.updateSession(session, {});
+    res.json({ success: true, agentConfig: session.dialogManager.getEffectiveConfig() });
+  } catch (error) {
+    console.error('Error updating session config:', error);
+    res.status(500).json({ error: 'Failed to update session config' });
+  }
+});
+
+// POST endpoint to set the confidence band in which extracted values are confirmed
+app.post('/api/confirmation-band', (req, res) => {
+  try {
+    const { min, max } = req.body;
+    if (typeof min !== 'number' || typeof max !== 'number' || min < 0 || max > 1 || min > max) {
+      return res.status(400).json({ error: 'min and max must be numbers with 0 <= min <= max <= 1' });
+    }
+    const session = findSession(req, res);
+    if (!session) return;
+
+    session.dialogManager.setConfirmationBand(min, max);
+    sessionStore.updateSession(session, {});
+    res.json({ success: true, confirmationBand: { min, max } });
+  } catch (error) {
+    console.error('Error setting confirmation band:', error);
+    res.status(500).json({ error: 'Failed to set confirmation band' });
+  }
+});
+
 // GET endpoint for system status
 app.get('/api/system-status', (req, res) => {
   try {
-    const status = dialogManager.getSystemStatus();
+    const session = findSession(req, res);
+    if (!session) return;
+
+    const status = session.dialogManager.getSystemStatus();
     res.json(status);
   } catch (error) {
     console.error('Error getting system status:', error);
@@ -170,36 +326,175 @@ app.get('/api/health', (req, res) => {
     status: 'healthy', 
     timestamp: new Date().toISOString(),
     version: '2.0.0',
+    ...sessionStore.getStats(),
     features: {
       hybridConversation: true,
       contextAware: true,
       advancedValidation: true,
       multiSlotExtraction: true,
       langchainIntegration: true,
+      llmProvider: getChainConfig('routing').provider,
       langsmithTracing: !!process.env.LANGSMITH_API_KEY
-    }
+    },
+    turnMetrics: getTurnMetrics(),
+    llmCircuits: getCircuitStatus()
   });
 });
 
-// Start or continue interview
+// GET endpoint for the questionnaires a patient can be invited to
+app.get('/api/questionnaires', (req, res) => {
+  res.json({ questionnaires: listQuestionnaires() });
+});
+
+// Start or continue interview. Without a sessionId a new session is created,
+// configured with the UI's agentSettings, patientInfo and systemPrompt (see
+// parseSessionConfig); afterwards the session holds the filled slots, current
+// slot and phase, so the client only sends its sessionId and the patient's response.
 app.post('/api/interview-next', async (req, res) => {
   try {
-    const { currentSlot, response, filledSlots = {}, phase } = req.body;
+    const { sessionId, response, questionnaireId, skip } = req.body || {};
+
+    // ---------------------
+    // 0. START A NEW SESSION
+    // ---------------------
+    if (!sessionId) {
+      // Resolve the questionnaire (treatment pathway); the default is used when none is given
+      const schema = getQuestionnaire(questionnaireId);
+      if (!schema) {
+        return res.status(400).json({ error: `Unknown questionnaire "${questionnaireId}"` });
+      }
+      const { config, error } = parseSessionConfig(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const session = sessionStore.createSession(schema.id);
+      session.dialogManager.setSessionConfig(config);
+      const nextQuestion = await session.dialogManager.applyContextAwareness(
+        session.dialogManager.getNextQuestion(session.filledSlots)
+      );
+      recordTurn(session, nextQuestion);
+      return res.json({
+        ...nextQuestion,
+        sessionId: session.id,
+        resumeToken: sessionStore.createResumeToken(session),
+        questionnaire: session.dialogManager.getQuestionnaireInfo()
+      });
+    }
+
+    // A turn is the patient's response, or `skip: true` to skip the current question
+    if (typeof sessionId !== 'string') {
+      return res.status(400).json({ error: 'sessionId must be a string' });
+    }
+    if (skip !== undefined && typeof skip !== 'boolean') {
+      return res.status(400).json({ error: 'skip must be true or false' });
+    }
+    if (!skip && (typeof response !== 'string' || !response.trim())) {
+      return res.status(400).json({ error: 'response is required (or send skip: true)' });
+    }
+
+    const session = findSession(req, res);
+    if (!session) return;
+    const { dialogManager } = session;
+    let { filledSlots } = session;
+
+    if (session.phase === 'complete') {
+      return res.json({
+        isComplete: true,
+        summary: session.summary,
+        filledSlots,
+        provenance: dialogManager.getProvenance(filledSlots),
+        questionnaire: dialogManager.getQuestionnaireInfo()
+      });
+    }
+
+    // Every patient message is a turn; provenance records which turn each answer came from
+    dialogManager.beginTurn();
+
+    // Safety check before routing: urgent symptoms interrupt the interview
+    if (!skip && (response || '').trim()) {
+      const urgent = await dialogManager.checkRedFlags(response.trim(), filledSlots);
+      if (urgent) {
+        recordTurn(session, urgent);
+        return res.json(urgent);
+      }
+    }
+
+    // Answers saved raw while the model was unavailable are extracted once it is back
+    const resolvedSlots = await dialogManager.resolvePendingAnswers(filledSlots);
+    const resolvedPending = resolvedSlots !== filledSlots;
+    if (resolvedPending) {
+      sessionStore.updateSession(session, { filledSlots: resolvedSlots });
+      filledSlots = resolvedSlots;
+    }
 
     // ---------------------
     // 1. REVIEW PHASE FLOW
     // ---------------------
-    if (phase === 'review') {
+    if (session.phase === 'review') {
       const trimmed = (response || '').trim();
 
+      // Saved answers that couldn't be used (or need a yes/no) are asked before the review goes on
+      const reopened = resolvedPending && dialogManager.getNextQuestion(filledSlots);
+      if (reopened && !reopened.isReview) {
+        const result = await dialogManager.applyContextAwareness(reopened);
+        recordTurn(session, result);
+        return res.json({ ...result, filledSlots, message: `I need to check one of your earlier answers. ${result.message}` });
+      }
+
+      // "Go back" reopens the last answered question
+      if (detectNavigationIntent(trimmed) === 'back') {
+        const result = await dialogManager.goBack(null, trimmed, filledSlots);
+        recordTurn(session, result);
+        return res.json(result);
+      }
+
       // If patient typed "approved" -> finalize and return summary
       if (/^approved$/i.test(trimmed)) {
-        const summary = await dialogManager.generateSummary(filledSlots);
-        return res.json({ isComplete: true, summary });
+        // Required slots must be answered first; otherwise return to the interview for them
+        const approval = dialogManager.checkApproval(filledSlots);
+        if (!approval.approved) {
+          recordTurn(session, approval);
+          return res.json(approval);
+        }
+
+        // The summary needs every answer processed, and the model to write it
+        if (dialogManager.hasPendingAnswers(filledSlots)) {
+          return res.json(degradedReview(filledSlots, 'finalize your answers'));
+        }
+        let summary;
+        try {
+          summary = await dialogManager.generateSummary(filledSlots);
+        } catch (error) {
+          if (!(error instanceof LLMUnavailableError)) throw error;
+          return res.json(degradedReview(filledSlots, 'finalize your answers'));
+        }
+        sessionStore.updateSession(session, { phase: 'complete', currentSlot: null, summary });
+        return res.json({
+          isComplete: true,
+          summary,
+          filledSlots,
+          provenance: dialogManager.getProvenance(filledSlots),
+          questionnaire: dialogManager.getQuestionnaireInfo()
+        });
       }
 
       // Otherwise attempt to apply corrections
-      const updatedSlots = await dialogManager.applyCorrections(trimmed, filledSlots);
+      let updatedSlots;
+      try {
+        updatedSlots = await dialogManager.applyCorrections(trimmed, filledSlots);
+      } catch (error) {
+        if (!(error instanceof LLMUnavailableError)) throw error;
+        return res.json(degradedReview(filledSlots, 'update your answers'));
+      }
+      sessionStore.updateSession(session, { filledSlots: updatedSlots });
+
+      // Inferred corrections are confirmed before the review is shown again
+      const confirmation = dialogManager.getNextQuestion(updatedSlots);
+      if (!confirmation.isReview) {
+        recordTurn(session, confirmation);
+        return res.json({ ...confirmation, filledSlots: updatedSlots });
+      }
 
       // Build new review message
       const reviewMsg = dialogManager.generateReviewMessage(updatedSlots);
@@ -214,16 +509,27 @@ app.post('/api/interview-next', async (req, res) => {
     // ---------------------------
     // 2. STANDARD INTERVIEW FLOW
     // ---------------------------
-    // If this is the start of the interview
-    if (!currentSlot) {
-      const nextQuestion = await dialogManager.getNextQuestion({});
-      return res.json(nextQuestion);
+    // Skip the current slot; it is recorded as "skipped"
+    if (skip) {
+      const result = await dialogManager.applyContextAwareness(
+        await dialogManager.skipSlot(session.currentSlot, filledSlots)
+      );
+      recordTurn(session, result);
+      return res.json(result);
+    }
+
+    // Nothing pending (e.g. a repeated request) -> ask the next question again
+    if (!session.currentSlot) {
+      const nextQuestion = await dialogManager.applyContextAwareness(dialogManager.getNextQuestion(filledSlots));
+      recordTurn(session, nextQuestion);
+      return res.json({ ...nextQuestion, filledSlots });
     }
     
-    // Process the response and get next question
-    const result = await dialogManager.processResponse(currentSlot, response, filledSlots);
+    // Process the response and get next question (rephrased in context-aware mode)
+    let result = await dialogManager.processResponse(session.currentSlot, response, filledSlots);
     
     if (!result.success) {
+      sessionStore.updateSession(session, {}); // keep the re-ask in the saved transcript
       return res.status(400).json({
         error: result.error,
         shouldReprompt: result.shouldReprompt,
@@ -231,6 +537,8 @@ app.post('/api/interview-next', async (req, res) => {
         isReview: result.isReview || false
       });
     }
+    result = await dialogManager.applyContextAwareness(result);
+    recordTurn(session, result);
 
     // Enhanced response for hybrid extractions
     const responseData = {
@@ -253,22 +561,92 @@ app.post('/api/interview-next', async (req, res) => {
     res.json(responseData);
   } catch (error) {
     console.error("Error in interview-next endpoint:", error);
+    if (error instanceof LLMUnavailableError) {
+      return res.status(503).json({ error: 'The assistant is temporarily unavailable. Please try again in a few minutes.', degraded: true });
+    }
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Generate medical summary
+// Resume an interview from a "continue later" link: returns the transcript so the
+// client can replay it, then continues from the next unanswered slot
+app.post('/api/resume', async (req, res) => {
+  try {
+    const session = sessionStore.getSessionForResumeToken(req.body.token);
+    if (!session) {
+      return res.status(404).json({ error: 'This resume link is invalid or has expired. Please start a new interview.' });
+    }
+    const { dialogManager, filledSlots } = session;
+
+    const transcript = (await session.memory.getMessages()).map(msg => ({
+      from: msg.type === 'ai' ? 'bot' : 'user',
+      text: String(msg.content),
+      ...(msg.sources?.length > 0 && { sources: msg.sources })
+    }));
+
+    let current;
+    if (session.phase === 'complete') {
+      current = { isComplete: true, summary: session.summary };
+    } else {
+      current = dialogManager.getNextQuestion(filledSlots);
+      recordTurn(session, current);
+    }
+
+    console.log(`Session ${session.id} resumed (${session.phase}, ${transcript.length} messages)`);
+
+    res.json({
+      ...current,
+      sessionId: session.id,
+      resumeToken: req.body.token,
+      questionnaire: dialogManager.getQuestionnaireInfo(),
+      filledSlots: session.filledSlots,
+      transcript
+    });
+  } catch (error) {
+    console.error('Error resuming session:', error);
+    res.status(500).json({ error: 'Failed to resume interview' });
+  }
+});
+
+// Where each of a session's answers came from: method, source utterance, turn,
+// confidence and timestamp per filled slot (see provenance.js)
+app.get('/api/provenance', (req, res) => {
+  try {
+    const session = findSession(req, res);
+    if (!session) return;
+
+    res.json({
+      sessionId: session.id,
+      filledSlots: session.filledSlots,
+      provenance: session.dialogManager.getProvenance()
+    });
+  } catch (error) {
+    console.error('Error getting provenance:', error);
+    res.status(500).json({ error: 'Failed to get provenance' });
+  }
+});
+
+// Generate medical summary for a session's collected answers
 app.post('/api/generate-summary', async (req, res) => {
   try {
-    const { filledSlots } = req.body;
+    const session = findSession(req, res);
+    if (!session) return;
+    const { dialogManager, filledSlots } = session;
     console.log('Generating medical summary for slots:', JSON.stringify(filledSlots, null, 2));
     
-    const summary = await dialogManager.generateSummary(filledSlots);
+    const summary = session.summary || await dialogManager.generateSummary(filledSlots);
     console.log('\nSummary Generated:', summary);
     
-    res.json({ summary });
+    res.json({
+      summary,
+      provenance: dialogManager.getProvenance(filledSlots),
+      questionnaire: dialogManager.getQuestionnaireInfo()
+    });
   } catch (error) {
     console.error("Error generating summary:", error);
+    if (error instanceof LLMUnavailableError) {
+      return res.status(503).json({ error: 'The summary can\'t be generated right now. Please try again in a few minutes.', degraded: true });
+    }
     res.status(500).json({ error: "Failed to generate medical summary" });
   }
 });
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ChromaClient } = require('chromadb');
+const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+const pdf = require('pdf-parse');
+const { getEmbeddingConfig, getEmbeddings } = require('./llm_provider');
+
+// Knowledge base of approved patient-education content: the EngagedMD video
+// scripts in scripts/ and the SART/ASRM documents in "SART Files/". Ingestion
+// extracts each PDF's text page by page, splits it into chunks and stores them
+// in a Chroma collection with { hash, path, title, kind, page, chunk } metadata.
+//
+// A manifest next to the session data records what has been indexed, keyed by
+// the SHA-256 of each file's contents, so only new or changed files are
+// re-indexed and byte-identical copies are indexed once (the others are listed
+// as `duplicates`).
+//
+// Run `npm run ingest` (add `-- --force` to rebuild everything) with a Chroma
+// server at CHROMA_URL, e.g. `chroma run --path backend/data/chroma --port 8001`.
+// Embeddings come from the provider in llm_provider.js; with the mock provider
+// there are none, so nothing is searched or ingested.
+const KNOWLEDGE_BASE_SOURCES = [
+  { dir: 'scripts', kind: 'script' },
+  { dir: 'SART Files', kind: 'guideline' }
+];
+
+const CHROMA_URL = process.env.CHROMA_URL || 'http://localhost:8001';
+const COLLECTION_NAME = process.env.KNOWLEDGE_BASE_COLLECTION || 'approved_content';
+const DATA_DIR = process.env.KNOWLEDGE_BASE_DIR || path.join(__dirname, 'data', 'knowledge_base');
+const MANIFEST_PATH = path.join(DATA_DIR, 'manifest.json');
+
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+const BATCH_SIZE = 100;
+
+// Chroma calls this to embed documents and query texts
+function makeEmbeddingFunction(embeddings) {
+  return {
+    name: 'openai',
+    generate: texts => embeddings.embedDocuments(texts)
+  };
+}
+
+let collectionPromise = null;
+
+// The Chroma collection holding the chunks (created on first use)
+function getCollection() {
+  if (!collectionPromise) {
+    const embeddings = getEmbeddings();
+    if (!embeddings) return Promise.reject(new Error('the mock LLM provider has no embeddings'));
+    const url = new URL(CHROMA_URL);
+    const client = new ChromaClient({
+      host: url.hostname,
+      port: Number(url.port) || (url.protocol === 'https:' ? 443 : 80),
+      ssl: url.protocol === 'https:'
+    });
+    collectionPromise = client.getOrCreateCollection({
+      name: COLLECTION_NAME,
+      configuration: { hnsw: { space: 'cosine' } },
+      embeddingFunction: makeEmbeddingFunction(embeddings)
+    }).catch(error => {
+      collectionPromise = null;
+      throw error;
+    });
+  }
+  return collectionPromise;
+}
+
+// -------------------
+// Manifest
+// -------------------
+function loadManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading knowledge base manifest:', error);
+    return { collection: COLLECTION_NAME, documents: {} };
+  }
+}
+
+function saveManifest(manifest) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(`${MANIFEST_PATH}.tmp`, JSON.stringify(manifest, null, 2));
+  fs.renameSync(`${MANIFEST_PATH}.tmp`, MANIFEST_PATH);
+}
+
+// -------------------
+// Extraction
+// -------------------
+
+// Every PDF in the source folders, grouped by content hash; the first path
+// (alphabetically) of each group is the one indexed
+function findSourceDocuments() {
+  const byHash = new Map();
+  for (const { dir, kind } of KNOWLEDGE_BASE_SOURCES) {
+    const dirPath = path.join(__dirname, dir);
+    if (!fs.existsSync(dirPath)) continue;
+
+    const files = fs.readdirSync(dirPath).filter(file => file.toLowerCase().endsWith('.pdf')).sort();
+    for (const file of files) {
+      const relativePath = path.join(dir, file);
+      const hash = crypto.createHash('sha256').update(fs.readFileSync(path.join(__dirname, relativePath))).digest('hex');
+      if (byHash.has(hash)) {
+        byHash.get(hash).duplicates.push(relativePath);
+      } else {
+        byHash.set(hash, { hash, path: relativePath, kind, duplicates: [] });
+      }
+    }
+  }
+  return byHash;
+}
+
+// Video script files are named by module code
+const SCRIPT_TITLES = {
+  DAT: 'Diagnostic Testing',
+  EFG: 'Egg Freezing',
+  FET: 'Frozen Embryo Transfer',
+  FFC: 'Funding Your Fertility Treatment',
+  GCS: 'Genetic Carrier Screening',
+  HYS: 'Hysteroscopy',
+  ITF: 'Intro to Fertility',
+  IVF: 'In Vitro Fertilization',
+  LTT: 'Low Tech Fertility Treatments',
+  PGT: 'Preimplantation Genetic Testing for Aneuploidy (PGT-A)'
+};
+
+// Document titles from file names (the PDFs' own Title fields are mostly typesetting
+// leftovers): "FET.pdf" -> "Frozen Embryo Transfer",
+// "unexplained_infertility (1).pdf" -> "Unexplained infertility"
+function makeTitle(relativePath) {
+  const name = path.basename(relativePath, path.extname(relativePath)).replace(/\s*\(\d+\)$/, '');
+  if (SCRIPT_TITLES[name]) return SCRIPT_TITLES[name];
+  const words = name.replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Text of each page of a PDF (pdf-parse's own line handling, kept per page)
+async function extractPages(filePath) {
+  const pages = [];
+  await pdf(fs.readFileSync(filePath), {
+    pagerender: async pageData => {
+      const content = await pageData.getTextContent();
+      let lastY;
+      let text = '';
+      for (const item of content.items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    }
+  });
+  return pages.map(text => (text || '').replace(/[ \t]+/g, ' ').trim());
+}
+
+// Chunks of one document with their metadata and stable ids
+async function chunkDocument(document) {
+  const pages = await extractPages(path.join(__dirname, document.path));
+  const splitter = new RecursiveCharacterTextSplitter({ chunkSize: CHUNK_SIZE, chunkOverlap: CHUNK_OVERLAP });
+  const title = makeTitle(document.path);
+
+  const chunks = [];
+  for (const [pageIndex, text] of pages.entries()) {
+    if (!text) continue;
+    const pieces = await splitter.splitText(text);
+    pieces.forEach((piece, i) => {
+      chunks.push({
+        id: `${document.hash.slice(0, 16)}-p${pageIndex + 1}-c${i}`,
+        text: piece,
+        metadata: { hash: document.hash, path: document.path, title, kind: document.kind, page: pageIndex + 1, chunk: i }
+      });
+    });
+  }
+  return { title, pageCount: pages.length, chunks };
+}
+
+// -------------------
+// Ingestion
+// -------------------
+
+// Bring the collection in line with the source folders. Returns counts of
+// indexed, unchanged, removed and duplicate files, and the chunks added.
+async function ingestKnowledgeBase({ force = false } = {}) {
+  const collection = await getCollection();
+  const manifest = loadManifest();
+  const sources = findSourceDocuments();
+  const stats = { indexed: 0, unchanged: 0, removed: 0, duplicates: 0, chunks: 0, failed: [] };
+
+  // Files that were deleted, changed (new hash) or renamed since the last run
+  for (const [hash, entry] of Object.entries(manifest.documents)) {
+    const source = sources.get(hash);
+    if (!force && source && source.path === entry.path) continue;
+
+    await collection.delete({ where: { hash } });
+    delete manifest.documents[hash];
+    if (!source) {
+      stats.removed++;
+      console.log(`Removed ${entry.path}`);
+    }
+  }
+
+  for (const document of sources.values()) {
+    stats.duplicates += document.duplicates.length;
+    document.duplicates.forEach(duplicate => console.log(`Skipping ${duplicate} (same content as ${document.path})`));
+
+    if (manifest.documents[document.hash]) {
+      manifest.documents[document.hash].duplicates = document.duplicates;
+      stats.unchanged++;
+      continue;
+    }
+
+    try {
+      const { title, pageCount, chunks } = await chunkDocument(document);
+      for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
+        const batch = chunks.slice(i, i + BATCH_SIZE);
+        await collection.upsert({
+          ids: batch.map(chunk => chunk.id),
+          documents: batch.map(chunk => chunk.text),
+          metadatas: batch.map(chunk => chunk.metadata)
+        });
+      }
+
+      manifest.documents[document.hash] = {
+        path: document.path,
+        duplicates: document.duplicates,
+        title,
+        kind: document.kind,
+        pages: pageCount,
+        chunks: chunks.length,
+        indexedAt: new Date().toISOString()
+      };
+      saveManifest(manifest); // after every file, so an interrupted run resumes where it stopped
+      stats.indexed++;
+      stats.chunks += chunks.length;
+      console.log(`Indexed ${document.path}: ${pageCount} pages, ${chunks.length} chunks`);
+    } catch (error) {
+      console.error(`Error indexing ${document.path}:`, error.message);
+      stats.failed.push(document.path);
+    }
+  }
+
+  saveManifest(manifest);
+  return stats;
+}
+
+// -------------------
+// Retrieval
+// -------------------
+
+// The chunks most similar to `query`, best first:
+//   [{ text, title, path, kind, page, score }]
+// `score` is the cosine similarity (1 is identical). `kinds` limits the search
+// to scripts and/or guidelines. Returns [] when the knowledge base is unavailable
+// or the provider is the mock, which has no embeddings.
+async function searchKnowledgeBase(query, { limit = 4, kinds = null } = {}) {
+  if (getEmbeddingConfig().provider === 'mock') return [];
+  try {
+    const collection = await getCollection();
+    const result = await collection.query({
+      queryTexts: [query],
+      nResults: limit,
+      where: kinds ? { kind: { $in: kinds } } : undefined,
+      include: ['documents', 'metadatas', 'distances']
+    });
+
+    return (result.ids[0] || []).map((id, i) => {
+      const metadata = result.metadatas[0][i] || {};
+      return {
+        id,
+        text: result.documents[0][i],
+        title: metadata.title,
+        path: metadata.path,
+        kind: metadata.kind,
+        page: metadata.page,
+        score: 1 - result.distances[0][i]
+      };
+    });
+  } catch (error) {
+    console.warn('Knowledge base search failed:', error.message);
+    return [];
+  }
+}
+
+// Command line: node knowledge_base.js [--force]
+if (require.main === module) {
+  ingestKnowledgeBase({ force: process.argv.includes('--force') })
+    .then(stats => {
+      console.log(`Knowledge base: ${stats.indexed} indexed, ${stats.unchanged} unchanged, ${stats.removed} removed, ${stats.duplicates} duplicate(s) skipped, ${stats.chunks} chunks added`);
+      if (stats.failed.length > 0) console.log(`Failed: ${stats.failed.join(', ')}`);
+      process.exit(stats.failed.length > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`Knowledge base ingestion failed (is Chroma running at ${CHROMA_URL}?):`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  KNOWLEDGE_BASE_SOURCES,
+  ingestKnowledgeBase,
+  searchKnowledgeBase
+};
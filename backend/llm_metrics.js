@@ -0,0 +1,134 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { BaseCallbackHandler } = require('@langchain/core/callbacks/base');
+
+// Latency and LLM call counts per interview turn. measureTurns wraps a request in
+// a turn; every chat model from llm_provider.js reports its calls to
+// llmCallTracker, which adds them to the turn the call was made in (so concurrent
+// sessions are counted separately). Each turn is logged when its response is sent
+// and added to the running totals shown by /api/health. Structured-output parsing
+// (structured_output.js) reports per chain how often a reply had to be repaired or
+// was rejected, for every call whether or not it is part of a turn.
+const turnStorage = new AsyncLocalStorage();
+
+const totals = {
+  turns: 0,
+  latencyMs: 0,
+  llmCalls: 0,
+  maxLlmCalls: 0,
+  callsByChain: {}
+};
+
+// Per chain: { calls, invalidReplies, repaired, failed }
+const parsing = {};
+
+// Callback handler counting the chat model calls made during the current turn.
+// Handlers are awaited so they run in the caller's async context.
+class LLMCallTracker extends BaseCallbackHandler {
+  constructor() {
+    super({ _awaitHandler: true });
+    this.name = 'llm_call_tracker';
+  }
+
+  handleChatModelStart(llm, messages, runId, parentRunId, extraParams, tags, metadata) {
+    const turn = turnStorage.getStore();
+    if (!turn) return;
+    turn.running.set(runId, { chain: metadata?.chain || 'unknown', startedAt: Date.now() });
+  }
+
+  handleLLMEnd(output, runId) {
+    finishCall(runId, 'ok');
+  }
+
+  handleLLMError(error, runId) {
+    finishCall(runId, 'error');
+  }
+}
+
+function finishCall(runId, status) {
+  const turn = turnStorage.getStore();
+  const call = turn?.running.get(runId);
+  if (!call) return;
+  turn.running.delete(runId);
+  turn.calls.push({ chain: call.chain, ms: Date.now() - call.startedAt, status });
+}
+
+const llmCallTracker = new LLMCallTracker();
+
+// Express middleware: measure each request as one turn
+function measureTurns(req, res, next) {
+  const turn = { startedAt: Date.now(), calls: [], running: new Map(), parseFailures: [] };
+  res.on('finish', () => recordTurn(turn, req.body?.sessionId ? 'turn' : 'start'));
+  turnStorage.run(turn, next);
+}
+
+function recordTurn(turn, kind) {
+  const latencyMs = Date.now() - turn.startedAt;
+  const llmMs = turn.calls.reduce((sum, call) => sum + call.ms, 0);
+
+  console.log('\nTurn Metrics:');
+  console.log('------------------');
+  console.log('Kind:', kind);
+  console.log('Latency:', `${latencyMs}ms (${llmMs}ms in LLM calls)`);
+  console.log('LLM calls:', turn.calls.length);
+  turn.calls.forEach(call => {
+    console.log(`${call.chain}: ${call.ms}ms${call.status === 'error' ? ' (failed)' : ''}`);
+  });
+  turn.parseFailures.forEach(failure => {
+    console.log(`Invalid structured output from ${failure.chain}: ${failure.invalidReplies} (${failure.ok ? 'repaired' : 'gave up'})`);
+  });
+  console.log('------------------\n');
+
+  // Only patient turns count towards the totals; starting a session is not a turn
+  if (kind !== 'turn') return;
+  totals.turns += 1;
+  totals.latencyMs += latencyMs;
+  totals.llmCalls += turn.calls.length;
+  totals.maxLlmCalls = Math.max(totals.maxLlmCalls, turn.calls.length);
+  for (const call of turn.calls) {
+    totals.callsByChain[call.chain] = (totals.callsByChain[call.chain] || 0) + 1;
+  }
+}
+
+// Count one structured-output call: `attempts` replies were parsed and the last
+// one was usable (`ok`) or the call gave up
+function recordParseResult(chain, { attempts, ok }) {
+  const counts = parsing[chain] || (parsing[chain] = { calls: 0, invalidReplies: 0, repaired: 0, failed: 0 });
+  const invalidReplies = ok ? attempts - 1 : attempts;
+  counts.calls += 1;
+  counts.invalidReplies += invalidReplies;
+  if (ok && invalidReplies > 0) counts.repaired += 1;
+  if (!ok) counts.failed += 1;
+
+  if (invalidReplies > 0) turnStorage.getStore()?.parseFailures.push({ chain, invalidReplies, ok });
+}
+
+// Per chain, the share of structured-output calls whose first reply was invalid
+// and the share that failed even after the repair
+function getParseMetrics() {
+  const rate = (count, calls) => calls ? Math.round((count / calls) * 1000) / 1000 : 0;
+  return Object.fromEntries(Object.entries(parsing).map(([chain, counts]) => [chain, {
+    ...counts,
+    invalidRate: rate(counts.repaired + counts.failed, counts.calls),
+    failureRate: rate(counts.failed, counts.calls)
+  }]));
+}
+
+// Averages over all patient turns since the server started
+function getTurnMetrics() {
+  const average = (sum) => totals.turns ? Math.round((sum / totals.turns) * 100) / 100 : 0;
+  return {
+    turns: totals.turns,
+    averageLatencyMs: Math.round(average(totals.latencyMs)),
+    averageLlmCalls: average(totals.llmCalls),
+    maxLlmCalls: totals.maxLlmCalls,
+    callsByChain: { ...totals.callsByChain },
+    parsing: getParseMetrics()
+  };
+}
+
+module.exports = {
+  llmCallTracker,
+  measureTurns,
+  recordParseResult,
+  getTurnMetrics
+};
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const { ChatOpenAI, OpenAIEmbeddings } = require('@langchain/openai');
+const { SimpleChatModel } = require('@langchain/core/language_models/chat_models');
+const { RunnableLambda } = require('@langchain/core/runnables');
+const { llmCallTracker } = require('./llm_metrics');
+const { callWithResilience, isCircuitOpen } = require('./llm_resilience');
+
+// Chat models for every chain, from one place. Each chain asks for its model by
+// name (see CHAIN_NAMES) and gets the provider and model configured for it:
+//   - "openai": the OpenAI API (OPENAI_API_KEY)
+//   - "openai-compatible": any server speaking the OpenAI chat API at `baseUrl`
+//     (Ollama, vLLM, LM Studio, llama.cpp), e.g. http://localhost:11434/v1;
+//     LLM_API_KEY is sent as the key when the server needs one
+//   - "mock": scripted responses from fixture files, with no network access
+//
+// llm_config.json holds a `default` and per-chain overrides in `chains`:
+//   { "default": { "provider": "openai", "model": "gpt-4o-mini" },
+//     "chains": { "summary": { "model": "gpt-4o" } } }
+// LLM_PROVIDER, LLM_MODEL and LLM_BASE_URL override the default (so
+// `LLM_PROVIDER=mock npm start` runs the whole interview offline); chain entries
+// still win over them. LLM_CONFIG_PATH points to another config file.
+// Knowledge base embeddings follow the default provider and base URL with
+// text-embedding-3-small; an `embeddings` entry overrides them. The mock
+// provider has no embeddings, so retrieval is skipped.
+//
+// Chains wanting structured output use the provider's native JSON-schema mode;
+// set `structuredOutput` on an entry to "functionCalling" or "jsonMode" for
+// servers that lack it. `timeoutMs` and `maxRetries` set the per-call limits
+// (see llm_resilience.js; LLM_TIMEOUT_MS and LLM_MAX_RETRIES are the defaults).
+const CONFIG_PATH = process.env.LLM_CONFIG_PATH || path.join(__dirname, 'llm_config.json');
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'llm');
+
+const PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+const STRUCTURED_OUTPUT_METHODS = ['jsonSchema', 'functionCalling', 'jsonMode'];
+
+// Every chain that calls a model
+const CHAIN_NAMES = [
+  'routing',          // routerChain: action, slot values and clarification in one call
+  'table-extraction', // routerChain: table rows
+  'clarification',    // routerChain: follow-up questions
+  'extraction',       // extractSlotChain: one slot
+  'validation',       // validationChain
+  'context-aware',    // contextChain: rephrased next question
+  'summary',          // summaryChain
+  'corrections',      // DialogManager.applyCorrections
+  'patient-question', // questionAnswerChain: answers from approved content
+  'rewrite',          // questionAnswerChain: self-contained questions
+  'safety'            // safetyChain: emergency classifier
+];
+
+// Read and check the config file (a missing file means OpenAI for everything)
+function loadLLMConfig(filePath = CONFIG_PATH) {
+  let config = { default: { provider: 'openai', model: 'gpt-4o-mini' }, chains: {} };
+  if (fs.existsSync(filePath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read LLM config ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  const fileName = path.basename(filePath);
+  for (const chain of Object.keys(config.chains || {})) {
+    if (!CHAIN_NAMES.includes(chain)) {
+      throw new Error(`LLM config ${fileName}: unknown chain "${chain}" (expected one of ${CHAIN_NAMES.join(', ')})`);
+    }
+  }
+  const entries = [['default', config.default || {}], ['embeddings', config.embeddings || {}], ...Object.entries(config.chains || {})];
+  for (const [name, entry] of entries) {
+    if (entry.provider && !PROVIDERS.includes(entry.provider)) {
+      throw new Error(`LLM config ${fileName}: ${name} has unknown provider "${entry.provider}"`);
+    }
+    if (entry.structuredOutput && !STRUCTURED_OUTPUT_METHODS.includes(entry.structuredOutput)) {
+      throw new Error(`LLM config ${fileName}: ${name} has unknown structuredOutput "${entry.structuredOutput}" (expected one of ${STRUCTURED_OUTPUT_METHODS.join(', ')})`);
+    }
+    if (entry.timeoutMs !== undefined && !(Number.isInteger(entry.timeoutMs) && entry.timeoutMs > 0)) {
+      throw new Error(`LLM config ${fileName}: ${name} has an invalid timeoutMs (expected a positive integer)`);
+    }
+    if (entry.maxRetries !== undefined && !(Number.isInteger(entry.maxRetries) && entry.maxRetries >= 0)) {
+      throw new Error(`LLM config ${fileName}: ${name} has an invalid maxRetries (expected an integer >= 0)`);
+    }
+  }
+  return { default: config.default || {}, embeddings: config.embeddings || {}, chains: config.chains || {} };
+}
+
+const LLM_CONFIG = loadLLMConfig();
+
+// Provider, model and base URL for a chain
+function getChainConfig(chain) {
+  const settings = {
+    ...LLM_CONFIG.default,
+    ...(process.env.LLM_PROVIDER && { provider: process.env.LLM_PROVIDER }),
+    ...(process.env.LLM_MODEL && { model: process.env.LLM_MODEL }),
+    ...(process.env.LLM_BASE_URL && { baseUrl: process.env.LLM_BASE_URL }),
+    ...LLM_CONFIG.chains[chain]
+  };
+  return { provider: 'openai', model: 'gpt-4o-mini', ...settings };
+}
+
+// The endpoint a chain calls, which its circuit breaker is kept for
+function getChainEndpoint(chain) {
+  const { provider, baseUrl } = getChainConfig(chain);
+  return provider === 'openai-compatible' ? baseUrl : provider;
+}
+
+// Whether calls for `chain` can go out (its endpoint's circuit is not open)
+function isChainAvailable(chain) {
+  return !isCircuitOpen(getChainEndpoint(chain));
+}
+
+// The resilience settings for a chain's calls
+function getCallLimits(chain) {
+  const { timeoutMs, maxRetries } = getChainConfig(chain);
+  return {
+    chain,
+    endpoint: getChainEndpoint(chain),
+    ...(timeoutMs !== undefined && { timeoutMs }),
+    ...(maxRetries !== undefined && { maxRetries })
+  };
+}
+
+// -------------------
+// Mock provider
+// -------------------
+
+// Fixtures are one JSON file per chain in FIXTURES_DIR (routing.json, ...):
+//   { "responses": [{ "match": "<regex>", "response": <string or JSON> }],
+//     "default": <string or JSON> }
+// The first response whose `match` is found in the prompt text is returned;
+// "$1".."$9" in the response are replaced by the match's capture groups. JSON
+// responses are returned as JSON text. Without a match the `default` is used,
+// and without a default the call fails (so the chain's own fallback runs).
+// An entry with `"fail": "timeout"` (never answers) or `"fail": "unavailable"`
+// (a 503 error) instead of a response simulates an outage.
+const fixtureCache = new Map();
+
+function loadFixtures(chain) {
+  if (fixtureCache.has(chain)) return fixtureCache.get(chain);
+
+  const filePath = path.join(FIXTURES_DIR, `${chain}.json`);
+  let fixtures = { responses: [] };
+  if (fs.existsSync(filePath)) {
+    try {
+      fixtures = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read mock fixtures ${chain}.json: ${error.message}`);
+    }
+  }
+
+  const loaded = {
+    default: fixtures.default,
+    responses: (fixtures.responses || []).map((fixture, i) => {
+      try {
+        return { pattern: new RegExp(fixture.match, 'i'), response: fixture.response, fail: fixture.fail };
+      } catch (error) {
+        throw new Error(`Mock fixtures ${chain}.json: responses[${i}] has an invalid match "${fixture.match}"`);
+      }
+    })
+  };
+  fixtureCache.set(chain, loaded);
+  return loaded;
+}
+
+// Put capture groups into a fixture response (strings anywhere in a JSON response)
+function fillCaptures(response, match) {
+  if (typeof response === 'string') {
+    return response.replace(/\$(\d)/g, (placeholder, group) => (match[group] ?? '').trim());
+  }
+  if (Array.isArray(response)) return response.map(item => fillCaptures(item, match));
+  if (response && typeof response === 'object') {
+    return Object.fromEntries(Object.entries(response).map(([key, value]) => [key, fillCaptures(value, match)]));
+  }
+  return response;
+}
+
+// Simulated outages for fixtures with `fail`
+function simulateFailure(fail) {
+  if (fail === 'timeout') return new Promise(() => {});
+  const error = new Error('Mock provider unavailable');
+  error.status = 503;
+  throw error;
+}
+
+// Deterministic chat model answering from a chain's fixtures
+class MockChatModel extends SimpleChatModel {
+  constructor({ chain, tags = [], callbacks, metadata }) {
+    super({ tags, callbacks, metadata });
+    this.chain = chain;
+    this.limits = getCallLimits(chain);
+  }
+
+  _llmType() {
+    return 'mock';
+  }
+
+  async _call(messages) {
+    const { chain, endpoint, ...limits } = this.limits;
+    return callWithResilience(chain, endpoint, async () => this.respond(messages), limits);
+  }
+
+  async respond(messages) {
+    const prompt = messages.map(message => String(message.content)).join('\n\n');
+    const fixtures = loadFixtures(this.chain);
+
+    let response;
+    for (const fixture of fixtures.responses) {
+      const match = prompt.match(fixture.pattern);
+      if (match) {
+        if (fixture.fail) return simulateFailure(fixture.fail);
+        response = fillCaptures(fixture.response, match);
+        break;
+      }
+    }
+    if (response === undefined) response = fixtures.default;
+    if (response === undefined) {
+      throw new Error(`No mock response for chain "${this.chain}"`);
+    }
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  // Structured output from the fixture's JSON, checked against the zod schema
+  withStructuredOutput(schema) {
+    return this.pipe(RunnableLambda.from(message => schema.parse(JSON.parse(message.content))));
+  }
+}
+
+// -------------------
+// Chat models
+// -------------------
+
+// OpenAI chat model whose calls go through the timeout, retry and circuit breaker
+// rules of llm_resilience.js (the client's own retries are turned off)
+class ResilientChatOpenAI extends ChatOpenAI {
+  constructor({ limits, ...fields }) {
+    super({ ...fields, maxRetries: 0 });
+    this.limits = limits;
+  }
+
+  async _generate(messages, options, runManager) {
+    const { chain, endpoint, ...limits } = this.limits;
+    return callWithResilience(chain, endpoint, signal => super._generate(messages, {
+      ...options,
+      signal: options.signal ? AbortSignal.any([options.signal, signal]) : signal
+    }, runManager), limits);
+  }
+}
+
+// The chat model for `chain`. `options` are the chain's own call settings
+// (temperature, maxTokens, tags); the mock provider ignores all but the tags.
+// Every call is reported to the per-turn metrics (llm_metrics.js).
+function getChatModel(chain, { temperature, maxTokens, tags = [] } = {}) {
+  if (!CHAIN_NAMES.includes(chain)) throw new Error(`Unknown LLM chain "${chain}"`);
+  const { provider, model, baseUrl } = getChainConfig(chain);
+  const callbacks = [llmCallTracker];
+  const metadata = { chain };
+
+  switch (provider) {
+    case 'mock':
+      return new MockChatModel({ chain, tags, callbacks, metadata });
+
+    case 'openai-compatible':
+      if (!baseUrl) throw new Error(`LLM chain "${chain}": the openai-compatible provider needs a baseUrl`);
+      return new ResilientChatOpenAI({
+        limits: getCallLimits(chain),
+        model,
+        temperature,
+        maxTokens,
+        // Local servers usually ignore the key, but the client requires one
+        openAIApiKey: process.env.LLM_API_KEY || 'not-needed',
+        configuration: { baseURL: baseUrl },
+        tags,
+        callbacks,
+        metadata
+      });
+
+    case 'openai':
+      return new ResilientChatOpenAI({
+        limits: getCallLimits(chain),
+        model,
+        temperature,
+        maxTokens,
+        openAIApiKey: process.env.OPENAI_API_KEY,
+        tags,
+        callbacks,
+        metadata
+      });
+
+    default:
+      throw new Error(`LLM chain "${chain}": unknown provider "${provider}" (expected one of ${PROVIDERS.join(', ')})`);
+  }
+}
+
+// A model for `chain` whose output is parsed and checked against the zod `schema`,
+// using the provider's native structured output (named `name`) rather than
+// format instructions in the prompt
+function getStructuredChatModel(chain, schema, { name, ...options } = {}) {
+  const model = getChatModel(chain, options);
+  if (model instanceof MockChatModel) return model.withStructuredOutput(schema);
+  const { structuredOutput = 'jsonSchema' } = getChainConfig(chain);
+  return model.withStructuredOutput(schema, { name, method: structuredOutput });
+}
+
+// -------------------
+// Embeddings
+// -------------------
+
+// Provider, model and base URL for knowledge base embeddings
+function getEmbeddingConfig() {
+  const { provider, baseUrl } = getChainConfig();
+  return { provider, model: 'text-embedding-3-small', ...(baseUrl && { baseUrl }), ...LLM_CONFIG.embeddings };
+}
+
+// The embeddings model for the knowledge base, or null with the mock provider
+function getEmbeddings() {
+  const { provider, model, baseUrl } = getEmbeddingConfig();
+
+  switch (provider) {
+    case 'mock':
+      return null;
+
+    case 'openai-compatible':
+      if (!baseUrl) throw new Error('LLM embeddings: the openai-compatible provider needs a baseUrl');
+      return new OpenAIEmbeddings({
+        model,
+        openAIApiKey: process.env.LLM_API_KEY || 'not-needed',
+        configuration: { baseURL: baseUrl }
+      });
+
+    case 'openai':
+      return new OpenAIEmbeddings({ model, openAIApiKey: process.env.OPENAI_API_KEY });
+
+    default:
+      throw new Error(`LLM embeddings: unknown provider "${provider}" (expected one of ${PROVIDERS.join(', ')})`);
+  }
+}
+
+// Provider and model per chain, for the system status
+function describeLLMConfig() {
+  return Object.fromEntries(CHAIN_NAMES.map(chain => {
+    const { provider, model, baseUrl } = getChainConfig(chain);
+    return [chain, provider === 'mock' ? { provider } : { provider, model, ...(baseUrl && { baseUrl }) }];
+  }));
+}
+
+module.exports = {
+  CHAIN_NAMES,
+  getChatModel,
+  getStructuredChatModel,
+  getChainConfig,
+  getEmbeddingConfig,
+  getEmbeddings,
+  isChainAvailable,
+  describeLLMConfig,
+  loadLLMConfig,
+  MockChatModel
+};
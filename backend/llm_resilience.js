@@ -0,0 +1,180 @@
+// Timeouts, retries and circuit breaking for model calls. Every call made by a
+// chat model from llm_provider.js goes through callWithResilience:
+//   - each attempt is cut off after `timeoutMs`
+//   - transient errors (timeouts, network errors, 408/409/429/5xx) are retried up
+//     to `maxRetries` times with jittered exponential backoff; other errors fail at once
+//   - a circuit breaker per endpoint opens after LLM_BREAKER_THRESHOLD calls in a
+//     row failed transiently; while it is open calls fail immediately, and after
+//     LLM_BREAKER_COOLDOWN_MS one trial call is let through to close it again
+// Calls that fail for availability reasons throw LLMUnavailableError, which the
+// interview treats as "degraded" (see DialogManager.saveRawAnswer).
+const DEFAULT_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 15000;
+const DEFAULT_MAX_RETRIES = process.env.LLM_MAX_RETRIES !== undefined ? Number(process.env.LLM_MAX_RETRIES) : 1;
+const RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS) || 500;
+const BREAKER_THRESHOLD = Number(process.env.LLM_BREAKER_THRESHOLD) || 3;
+const BREAKER_COOLDOWN_MS = Number(process.env.LLM_BREAKER_COOLDOWN_MS) || 30000;
+
+const TRANSIENT_STATUSES = [408, 409, 429];
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+// An attempt that took longer than its timeout
+class LLMTimeoutError extends Error {
+  constructor(chain, timeoutMs) {
+    super(`LLM chain "${chain}" timed out after ${timeoutMs}ms`);
+    this.name = 'LLMTimeoutError';
+    this.chain = chain;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// The model can't be reached: retries ran out or the circuit is open.
+// `cause` is the last error, if a call was attempted.
+class LLMUnavailableError extends Error {
+  constructor(chain, message, cause = null) {
+    super(message);
+    this.name = 'LLMUnavailableError';
+    this.chain = chain;
+    this.cause = cause;
+  }
+}
+
+// Timeouts, network errors, rate limits and server errors are worth retrying
+function isTransientError(error) {
+  if (error instanceof LLMTimeoutError) return true;
+  const status = error?.status ?? error?.response?.status;
+  if (status) return TRANSIENT_STATUSES.includes(+status) || +status >= 500;
+  if (TRANSIENT_CODES.includes(error?.code) || TRANSIENT_CODES.includes(error?.cause?.code)) return true;
+  return ['TimeoutError', 'APIConnectionError', 'APIConnectionTimeoutError', 'FetchError'].includes(error?.name)
+    || /timed? ?out|network|socket hang up|fetch failed/i.test(error?.message || '');
+}
+
+// -------------------
+// Circuit breakers
+// -------------------
+
+// One breaker per endpoint (e.g. "openai", or the base URL of a local server)
+const breakers = new Map();
+
+function getBreaker(endpoint) {
+  if (!breakers.has(endpoint)) {
+    breakers.set(endpoint, { state: 'closed', failures: 0, openedAt: null, trialInFlight: false });
+  }
+  return breakers.get(endpoint);
+}
+
+// Whether a call may go out now; an open breaker lets one trial call through
+// once its cooldown has passed
+function allowCall(breaker) {
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half-open';
+  }
+  if (breaker.state === 'half-open' && !breaker.trialInFlight) {
+    breaker.trialInFlight = true;
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(breaker, endpoint) {
+  if (breaker.state !== 'closed') console.log(`LLM circuit for ${endpoint} closed`);
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+}
+
+function recordFailure(breaker, endpoint) {
+  breaker.failures += 1;
+  breaker.trialInFlight = false;
+  if (breaker.state === 'half-open' || breaker.failures >= BREAKER_THRESHOLD) {
+    if (breaker.state !== 'open') console.warn(`LLM circuit for ${endpoint} opened after ${breaker.failures} failed call(s)`);
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+// Whether calls to `endpoint` are currently refused (open and still cooling down)
+function isCircuitOpen(endpoint) {
+  const breaker = breakers.get(endpoint);
+  return Boolean(breaker) && breaker.state === 'open' && Date.now() - breaker.openedAt < BREAKER_COOLDOWN_MS;
+}
+
+// Breaker state per endpoint, for the health check
+function getCircuitStatus() {
+  return Object.fromEntries([...breakers.entries()].map(([endpoint, breaker]) => [endpoint, {
+    state: breaker.state,
+    failures: breaker.failures,
+    openedAt: breaker.openedAt && new Date(breaker.openedAt).toISOString()
+  }]));
+}
+
+// -------------------
+// Calls
+// -------------------
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Full jitter: a random delay up to the exponential backoff for this retry
+function backoffDelay(retry) {
+  return Math.round(Math.random() * RETRY_BASE_MS * 2 ** retry);
+}
+
+// Run `attempt(signal)` with a timeout; the signal is aborted when time runs out
+async function withTimeout(chain, attempt, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LLMTimeoutError(chain, timeoutMs));
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([attempt(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Call `attempt(signal)` for `chain` against `endpoint` with the timeout, retry and
+// circuit breaker rules above
+async function callWithResilience(chain, endpoint, attempt, { timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+  const breaker = getBreaker(endpoint);
+
+  for (let retry = 0; ; retry++) {
+    if (!allowCall(breaker)) {
+      throw new LLMUnavailableError(chain, `LLM endpoint ${endpoint} is unavailable (circuit open)`);
+    }
+
+    try {
+      const result = await withTimeout(chain, attempt, timeoutMs);
+      recordSuccess(breaker, endpoint);
+      return result;
+    } catch (error) {
+      if (!isTransientError(error)) {
+        // The endpoint answered; the request itself was wrong
+        recordSuccess(breaker, endpoint);
+        throw error;
+      }
+      // A failed trial call reopens the circuit without retrying
+      if (retry >= maxRetries || breaker.state === 'half-open') {
+        recordFailure(breaker, endpoint);
+        throw new LLMUnavailableError(chain, `LLM chain "${chain}" failed after ${retry + 1} attempt(s): ${error.message}`, error);
+      }
+
+      const delay = backoffDelay(retry);
+      console.warn(`LLM chain "${chain}" attempt ${retry + 1} failed (${error.message}); retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  LLMTimeoutError,
+  LLMUnavailableError,
+  callWithResilience,
+  isTransientError,
+  isCircuitOpen,
+  getCircuitStatus
+};
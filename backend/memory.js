@@ -1,19 +1,28 @@
-// Simple memory implementation for interview conversations
+// Simple memory implementation for one interview session's conversation
 class InterviewMemoryManager {
   constructor() {
     this.messages = [];
     this.sessionStartTime = new Date();
     this.interactionCount = 0;
+    this.questionnaire = null;
   }
 
-  // Save a conversation turn (question + response)
-  async saveInteraction(question, userResponse, extractedValue = null, slotName = null) {
+  // Record which questionnaire (id and version) this interview uses
+  setQuestionnaire(questionnaire) {
+    this.questionnaire = questionnaire;
+  }
+
+  // Save a conversation turn (question + response). `question` is the schema's
+  // canonical question; when the patient was shown a rephrased version
+  // (context-aware mode) it is passed as `askedQuestion` and both are kept.
+  async saveInteraction(question, userResponse, extractedValue = null, slotName = null, askedQuestion = null) {
     this.interactionCount++;
     
     // Save the AI question and human response
     this.messages.push({
       type: "ai",
-      content: question,
+      content: askedQuestion || question,
+      canonicalQuestion: question,
       timestamp: new Date()
     });
     
@@ -38,6 +47,17 @@ class InterviewMemoryManager {
     console.log('------------------\n');
   }
 
+  // Save something the interviewer told the patient that was not a question,
+  // such as an answer to the patient's own question (`sources` are what it cites)
+  async saveAssistantMessage(content, sources = []) {
+    this.messages.push({
+      type: "ai",
+      content,
+      sources,
+      timestamp: new Date()
+    });
+  }
+
   // Get all conversation messages
   async getMessages() {
     return this.messages;
@@ -55,6 +75,7 @@ class InterviewMemoryManager {
       totalInteractions: this.interactionCount,
       sessionDuration: Math.round((new Date() - this.sessionStartTime) / 1000 / 60), // minutes
       conversationLength: this.messages.length,
+      questionnaire: this.questionnaire,
       conversationText
     };
   }
@@ -84,10 +105,31 @@ class InterviewMemoryManager {
       totalInteractions: this.interactionCount,
       sessionDuration: Math.round((new Date() - this.sessionStartTime) / 1000 / 60),
       startTime: this.sessionStartTime,
+      questionnaire: this.questionnaire,
       lastActivity: this.messages.length > 0 ? this.messages[this.messages.length - 1].timestamp : null
     };
   }
 
+  // Plain data for persisting the transcript (see session_store.js)
+  toJSON() {
+    return {
+      messages: this.messages,
+      sessionStartTime: this.sessionStartTime,
+      interactionCount: this.interactionCount,
+      questionnaire: this.questionnaire
+    };
+  }
+
+  // Rebuild a memory from persisted data
+  static fromJSON(data = {}) {
+    const memory = new InterviewMemoryManager();
+    memory.messages = (data.messages || []).map(msg => ({ ...msg, timestamp: new Date(msg.timestamp) }));
+    memory.sessionStartTime = data.sessionStartTime ? new Date(data.sessionStartTime) : new Date();
+    memory.interactionCount = data.interactionCount || 0;
+    memory.questionnaire = data.questionnaire || null;
+    return memory;
+  }
+
   // Get filled slots from conversation
   getFilledSlots() {
     const slots = {};
@@ -100,10 +142,7 @@ class InterviewMemoryManager {
   }
 }
 
-// Create a singleton instance for the interview session
-const interviewMemory = new InterviewMemoryManager();
-
+// Each interview session owns its own memory (see session_store.js)
 module.exports = {
-  InterviewMemoryManager,
-  interviewMemory
-}; 
\ No newline at end of file
+  InterviewMemoryManager
+};
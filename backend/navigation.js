@@ -0,0 +1,26 @@
+// Navigation intents the patient can use at any point in the interview:
+//   back   "go back", "change my answer to the last question"
+//   skip   "skip this", "next question"
+//   later  "I'll answer later", "can we come back to this?"
+// skip and later must match the whole response, so an answer that merely
+// mentions skipping or doing something later ("I usually do it later in the evening")
+// is still an answer. They are recognised before a response is treated as an
+// answer, and handled by DialogManager.handleNavigation.
+const NAVIGATION_PATTERNS = {
+  back: /^(can we |let'?s |please )?(go back|back|previous question|undo)( (a|one) (question|step))?( to the (last|previous) question)?( please)?[.!?]?$|\b(change|fix|redo|correct) (my|the) (last|previous) answer\b|\bchange my answer (to|for|on) the (last|previous) question\b/i,
+  skip: /^(please )?(skip|pass|next question)( (this|that|it|this one|this question))?( for now)?( please)?[.!]?$/i,
+  later: /^(please |sorry,? |ok(ay)?,? )?(can (we|i|you) |could (we|i|you) |let'?s |let me |i'?ll |i will |i'?d rather )?((answer|do) ((this|that|it)( one| question)? )?later|come back to (this|that|it)( one| question)?( later)?|ask me ((this|that|it)( one| question)? )?later|later)( please)?[.!?]?$/i
+};
+
+function detectNavigationIntent(response) {
+  const text = String(response || '').trim();
+  for (const [intent, pattern] of Object.entries(NAVIGATION_PATTERNS)) {
+    if (pattern.test(text)) return intent;
+  }
+  return null;
+}
+
+module.exports = {
+  NAVIGATION_PATTERNS,
+  detectNavigationIntent
+};
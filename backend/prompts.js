@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+// Prompt files shipped with the backend (system_prompt.txt, rewrite_prompt.txt)
+function loadPromptFile(name) {
+  return fs.readFileSync(path.join(__dirname, `${name}.txt`), 'utf-8');
+}
+
+// The patient Q&A system prompt. Staff can edit it at runtime
+// (PUT /api/system-prompt); the file is the default.
+let systemPrompt = loadPromptFile('system_prompt');
+
+function getDefaultSystemPrompt() {
+  return loadPromptFile('system_prompt');
+}
+
+function getSystemPrompt() {
+  return systemPrompt;
+}
+
+function setSystemPrompt(prompt) {
+  systemPrompt = prompt;
+  return systemPrompt;
+}
+
+module.exports = {
+  loadPromptFile,
+  getDefaultSystemPrompt,
+  getSystemPrompt,
+  setSystemPrompt
+};
@@ -0,0 +1,59 @@
+// Provenance: where each stored slot value came from.
+//
+// filledSlots keeps bare values; the session keeps a parallel map
+//   slotProvenance[slotName] = { method, source, turn, confidence, timestamp }
+// recording how the value was captured (see PROVENANCE_METHODS), the patient
+// utterance it came from, the patient turn it was given in, the extractor's
+// confidence (null when the method has none) and when it was recorded.
+// Entries for slots that are no longer filled are ignored.
+const PROVENANCE_METHODS = {
+  preprocess: 'Direct answer (rule-based)',
+  single_slot_chain: 'Extracted from the answer',
+  multi_extraction: 'Extracted from a multi-part answer',
+  inference: 'Inferred from wording',
+  table_extraction: 'Listed by the patient',
+  answer_state: 'Declined / not known / skipped',
+  context_skip: 'Not asked (not applicable)',
+  correction: 'Corrected during review',
+  regex_fallback: 'Corrected during review (pattern match)',
+  raw_answer: 'Saved while the assistant was unavailable'
+};
+
+function makeProvenance(method, { source = null, turn = null, confidence = null, confirmed = false } = {}) {
+  if (!PROVENANCE_METHODS[method]) throw new Error(`Unknown provenance method "${method}"`);
+  const provenance = { method, source, turn, confidence, timestamp: new Date().toISOString() };
+  if (confirmed) provenance.confirmed = true;
+  return provenance;
+}
+
+// Provenance for the slots currently filled; computed slots point at their inputs
+function getSlotProvenance(filledSlots = {}, slotProvenance = {}, computedDefinitions = {}) {
+  const result = {};
+  for (const slotName of Object.keys(filledSlots)) {
+    if (computedDefinitions[slotName]) {
+      result[slotName] = { method: 'computed', inputs: computedDefinitions[slotName].inputs };
+    } else if (slotProvenance[slotName]) {
+      result[slotName] = slotProvenance[slotName];
+    }
+  }
+  return result;
+}
+
+// One-line description for clinicians, e.g. "Extracted from the answer, turn 3, confidence 0.92"
+function describeProvenance(provenance) {
+  if (!provenance) return 'Unknown';
+  if (provenance.method === 'computed') return `Calculated from ${provenance.inputs.join(', ')}`;
+
+  const parts = [PROVENANCE_METHODS[provenance.method] || provenance.method];
+  if (provenance.confirmed) parts.push('confirmed by patient');
+  if (provenance.turn) parts.push(`turn ${provenance.turn}`);
+  if (typeof provenance.confidence === 'number') parts.push(`confidence ${provenance.confidence.toFixed(2)}`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  PROVENANCE_METHODS,
+  makeProvenance,
+  getSlotProvenance,
+  describeProvenance
+};
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const { SLOT_TYPES } = require('./slot_types');
+const { COMPARISON_OPERATORS } = require('./conditions');
+const { COMPUTE_FUNCTIONS } = require('./computed_slots');
+
+// Operators that compare against a `value` in the condition
+const VALUE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'not_in', 'contains', 'years_since_gte', 'years_since_lt'];
+const QUANTITY_UNITS = ['cm', 'kg'];
+const CHECK_SEVERITIES = ['warning', 'error'];
+
+// Check one condition (recursively) for unknown operators, slots and missing values
+function lintCondition(condition, where, slots, errors) {
+  if (!condition || typeof condition !== 'object') {
+    errors.push(`${where}: condition must be an object`);
+    return;
+  }
+
+  if ('all' in condition || 'any' in condition) {
+    const parts = condition.all || condition.any;
+    if (!Array.isArray(parts) || parts.length === 0) {
+      errors.push(`${where}: "all"/"any" must be a non-empty array`);
+      return;
+    }
+    parts.forEach((part, i) => lintCondition(part, `${where}[${i}]`, slots, errors));
+    return;
+  }
+  if ('not' in condition) {
+    lintCondition(condition.not, `${where}.not`, slots, errors);
+    return;
+  }
+
+  if (!COMPARISON_OPERATORS.includes(condition.op)) {
+    errors.push(`${where}: unknown operator "${condition.op}"`);
+  }
+  if (condition.slot !== undefined && !slots[condition.slot]) {
+    errors.push(`${where}: references unknown slot "${condition.slot}"`);
+  }
+  if (VALUE_OPERATORS.includes(condition.op) && condition.value === undefined) {
+    errors.push(`${where}: operator "${condition.op}" needs a "value"`);
+  }
+  if (['in', 'not_in'].includes(condition.op) && !Array.isArray(condition.value)) {
+    errors.push(`${where}: operator "${condition.op}" needs an array "value"`);
+  }
+}
+
+// Check the type-specific settings of a slot (or a table column)
+function lintTypeSettings(config, where, errors) {
+  const type = config.type;
+  if (!SLOT_TYPES[type]) {
+    errors.push(`${where}: unknown type "${type}"`);
+    return;
+  }
+
+  if (type === 'enum') {
+    if (!Array.isArray(config.options) || config.options.length === 0) {
+      errors.push(`${where}: enum needs a non-empty "options" array`);
+    } else {
+      for (const [alias, target] of Object.entries(config.aliases || {})) {
+        if (!config.options.includes(target)) {
+          errors.push(`${where}: alias "${alias}" maps to unknown option "${target}"`);
+        }
+      }
+    }
+  }
+  if (type === 'quantity' && !QUANTITY_UNITS.includes(config.unit)) {
+    errors.push(`${where}: quantity "unit" must be one of ${QUANTITY_UNITS.join(', ')}`);
+  }
+  if (config.min !== undefined && config.max !== undefined && config.min > config.max) {
+    errors.push(`${where}: "min" is greater than "max"`);
+  }
+  if (config.pattern !== undefined) {
+    try {
+      new RegExp(config.pattern);
+    } catch (error) {
+      errors.push(`${where}: invalid pattern "${config.pattern}" (${error.message})`);
+    }
+  }
+  if (type === 'table') {
+    const columns = Object.entries(config.columns || {});
+    if (columns.length === 0) {
+      errors.push(`${where}: table needs at least one column`);
+    }
+    for (const [columnName, columnConfig] of columns) {
+      if (columnConfig.type === 'table') {
+        errors.push(`${where}.columns.${columnName}: tables cannot be nested`);
+      } else {
+        lintTypeSettings(columnConfig, `${where}.columns.${columnName}`, errors);
+      }
+    }
+  }
+}
+
+// Every slot a slot can lead to
+function getSlotTargets(slotConfig) {
+  const targets = (slotConfig.branches || []).map(branch => branch.next);
+  if (slotConfig.next_default) targets.push(slotConfig.next_default);
+  return targets;
+}
+
+// Find a cycle in the slot graph, returning the slot path or null
+function findCycle(slots) {
+  const state = {}; // undefined = unvisited, 1 = on the current path, 2 = done
+  const stack = [];
+
+  const visit = (slotName) => {
+    if (state[slotName] === 1) return [...stack.slice(stack.indexOf(slotName)), slotName];
+    if (state[slotName] === 2 || !slots[slotName]) return null;
+    state[slotName] = 1;
+    stack.push(slotName);
+    for (const target of getSlotTargets(slots[slotName])) {
+      const cycle = visit(target);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    state[slotName] = 2;
+    return null;
+  };
+
+  for (const slotName of Object.keys(slots)) {
+    const cycle = visit(slotName);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// Lint a questionnaire definition. Returns { errors, warnings }; any error
+// means the questionnaire must not be used.
+function lintQuestionnaire(definition) {
+  const errors = [];
+  const warnings = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return { errors: ['Questionnaire must be a JSON object'], warnings };
+  }
+
+  // Top-level fields
+  if (!definition.id || typeof definition.id !== 'string') errors.push('Missing required field "id"');
+  if (!Number.isInteger(definition.version) || definition.version < 1) {
+    errors.push('"version" must be a positive integer');
+  }
+  if (!definition.title) errors.push('Missing required field "title"');
+  if (!Array.isArray(definition.sections) || definition.sections.length === 0) {
+    errors.push('"sections" must be a non-empty array');
+  }
+  if (!definition.slots || typeof definition.slots !== 'object') {
+    errors.push('"slots" must be an object');
+  }
+  if (definition.review !== undefined) {
+    for (const key of ['title', 'instructions', 'approve_prompt']) {
+      if (typeof definition.review[key] !== 'string') errors.push(`"review.${key}" must be a string`);
+    }
+  }
+  if (definition.summary !== undefined && typeof definition.summary.instructions !== 'string') {
+    errors.push('"summary.instructions" must be a string');
+  }
+  if (definition.computed !== undefined && (typeof definition.computed !== 'object' || Array.isArray(definition.computed))) {
+    errors.push('"computed" must be an object');
+  }
+  if (definition.consistency_checks !== undefined && !Array.isArray(definition.consistency_checks)) {
+    errors.push('"consistency_checks" must be an array');
+  }
+  if (errors.length > 0) return { errors, warnings };
+
+  const { slots, sections } = definition;
+  const computed = definition.computed || {};
+
+  // Sections and section membership
+  const sectionOf = {};
+  for (const [i, section] of sections.entries()) {
+    const where = `sections[${i}]`;
+    if (!section.id) errors.push(`${where}: missing required field "id"`);
+    if (!section.title) errors.push(`${where}: missing required field "title"`);
+    if (!Array.isArray(section.slots) || section.slots.length === 0) {
+      errors.push(`${where}: "slots" must be a non-empty array`);
+      continue;
+    }
+    for (const slotName of section.slots) {
+      if (!slots[slotName]) {
+        errors.push(`${where}: lists unknown slot "${slotName}"`);
+      } else if (sectionOf[slotName]) {
+        errors.push(`${where}: slot "${slotName}" is already in section "${sectionOf[slotName]}"`);
+      } else {
+        sectionOf[slotName] = section.id;
+      }
+    }
+  }
+
+  // Computed slots: known function, inputs declared before use, no clash with asked slots
+  const conditionSlots = { ...slots };
+  for (const [slotName, computedConfig] of Object.entries(computed)) {
+    const where = `computed.${slotName}`;
+    if (slots[slotName]) errors.push(`${where}: clashes with an asked slot of the same id`);
+    if (computedConfig.id !== slotName) errors.push(`${where}: "id" must match its key`);
+    if (!computedConfig.label) errors.push(`${where}: missing required field "label"`);
+    if (!COMPUTE_FUNCTIONS[computedConfig.compute]) {
+      errors.push(`${where}: unknown compute function "${computedConfig.compute}"`);
+    }
+    if (!Array.isArray(computedConfig.inputs) || computedConfig.inputs.length === 0) {
+      errors.push(`${where}: "inputs" must be a non-empty array`);
+    } else {
+      for (const input of computedConfig.inputs) {
+        if (!conditionSlots[input]) errors.push(`${where}: input "${input}" is not a slot or an earlier computed slot`);
+      }
+    }
+    if (computedConfig.section !== undefined && !sections.some(section => section.id === computedConfig.section)) {
+      errors.push(`${where}: unknown section "${computedConfig.section}"`);
+    }
+    conditionSlots[slotName] = computedConfig;
+  }
+
+  // Slots
+  for (const [slotName, slotConfig] of Object.entries(slots)) {
+    const where = `slots.${slotName}`;
+    if (slotConfig.id !== slotName) errors.push(`${where}: "id" must match its key`);
+    if (!slotConfig.question || typeof slotConfig.question !== 'string') {
+      errors.push(`${where}: missing required field "question"`);
+    }
+    if (typeof slotConfig.required !== 'boolean') errors.push(`${where}: "required" must be true or false`);
+    if (slotConfig.help !== undefined && (typeof slotConfig.help !== 'string' || !slotConfig.help.trim())) {
+      errors.push(`${where}: "help" must be a non-empty string`);
+    }
+    if (slotConfig.can_defer !== undefined && typeof slotConfig.can_defer !== 'boolean') {
+      errors.push(`${where}: "can_defer" must be true or false`);
+    } else if (slotConfig.can_defer && !slotConfig.required) {
+      warnings.push(`${where}: "can_defer" has no effect on an optional slot`);
+    }
+    if (slotConfig.next_default !== null && typeof slotConfig.next_default !== 'string') {
+      errors.push(`${where}: "next_default" must be a slot id or null`);
+    }
+    if (!Array.isArray(slotConfig.branches)) errors.push(`${where}: "branches" must be an array`);
+    if (!sectionOf[slotName]) errors.push(`${where}: not listed in any section`);
+
+    lintTypeSettings(slotConfig, where, errors);
+    if (slotConfig.type === 'table' && !slotConfig.follow_up_question) {
+      errors.push(`${where}: table slots need a "follow_up_question"`);
+    }
+
+    // Dangling targets, and targets in another section (each section is walked
+    // on its own, so the later section's walk would stop at an already visited slot)
+    if (slotConfig.next_default && !slots[slotConfig.next_default]) {
+      errors.push(`${where}: next_default points to unknown slot "${slotConfig.next_default}"`);
+    } else if (slotConfig.next_default && sectionOf[slotConfig.next_default] && sectionOf[slotConfig.next_default] !== sectionOf[slotName]) {
+      errors.push(`${where}: next_default jumps to "${slotConfig.next_default}" in another section`);
+    }
+    for (const [i, branch] of (slotConfig.branches || []).entries()) {
+      if (!branch.next || !slots[branch.next]) {
+        errors.push(`${where}.branches[${i}]: points to unknown slot "${branch.next}"`);
+      } else if (sectionOf[branch.next] && sectionOf[branch.next] !== sectionOf[slotName]) {
+        errors.push(`${where}.branches[${i}]: jumps to "${branch.next}" in another section`);
+      }
+      lintCondition(branch.when, `${where}.branches[${i}].when`, conditionSlots, errors);
+    }
+    if (slotConfig.skip_if !== undefined) {
+      lintCondition(slotConfig.skip_if, `${where}.skip_if`, conditionSlots, errors);
+    }
+  }
+
+  // Consistency checks: a condition and a message over known (or computed) slots
+  const checkIds = new Set();
+  for (const [i, check] of (definition.consistency_checks || []).entries()) {
+    const where = `consistency_checks[${i}]`;
+    if (!check.id || typeof check.id !== 'string') {
+      errors.push(`${where}: missing required field "id"`);
+    } else if (checkIds.has(check.id)) {
+      errors.push(`${where}: duplicate id "${check.id}"`);
+    } else {
+      checkIds.add(check.id);
+    }
+    if (typeof check.message !== 'string' || !check.message.trim()) {
+      errors.push(`${where}: "message" must be a non-empty string`);
+    } else {
+      for (const [, slotName] of check.message.matchAll(/\{(\w+)\}/g)) {
+        if (!conditionSlots[slotName]) errors.push(`${where}: message references unknown slot "${slotName}"`);
+      }
+    }
+    if (!CHECK_SEVERITIES.includes(check.severity)) {
+      errors.push(`${where}: "severity" must be one of ${CHECK_SEVERITIES.join(', ')}`);
+    }
+    lintCondition(check.when, `${where}.when`, conditionSlots, errors);
+  }
+
+  // Cycles (the runtime walk would otherwise stop at its visited set)
+  const cycle = findCycle(slots);
+  if (cycle) errors.push(`Cycle in slot graph: ${cycle.join(' -> ')}`);
+
+  // Reachability from each section's entry slot
+  const reachable = new Set();
+  const queue = sections.map(section => section.slots?.[0]).filter(Boolean);
+  while (queue.length > 0) {
+    const slotName = queue.shift();
+    if (reachable.has(slotName) || !slots[slotName]) continue;
+    reachable.add(slotName);
+    queue.push(...getSlotTargets(slots[slotName]));
+  }
+  for (const slotName of Object.keys(slots)) {
+    if (!reachable.has(slotName)) errors.push(`slots.${slotName}: unreachable from any section entry`);
+  }
+
+  return { errors, warnings };
+}
+
+// Command line: node questionnaire_lint.js [files...] (defaults to questionnaires/*.json)
+if (require.main === module) {
+  const dir = path.join(__dirname, 'questionnaires');
+  const files = process.argv.length > 2
+    ? process.argv.slice(2)
+    : fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => path.join(dir, f));
+
+  let failed = false;
+  for (const file of files) {
+    let result;
+    try {
+      result = lintQuestionnaire(JSON.parse(fs.readFileSync(file, 'utf-8')));
+    } catch (error) {
+      result = { errors: [`Could not read questionnaire: ${error.message}`], warnings: [] };
+    }
+    console.log(`${file}: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    result.errors.forEach(e => console.log(`  ✗ ${e}`));
+    result.warnings.forEach(w => console.log(`  ! ${w}`));
+    if (result.errors.length > 0) failed = true;
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+module.exports = {
+  lintQuestionnaire
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const { lintQuestionnaire } = require('./questionnaire_lint');
+
+// Load a questionnaire definition from a JSON file, refusing to use it if the linter finds errors
+function loadQuestionnaire(filePath) {
+  const fileName = path.basename(filePath);
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read questionnaire ${fileName}: ${error.message}`);
+  }
+
+  const { errors, warnings } = lintQuestionnaire(definition);
+  warnings.forEach(warning => console.warn(`Questionnaire ${fileName}: ${warning}`));
+  if (errors.length > 0) {
+    throw new Error(`Questionnaire ${fileName} failed lint:\n${errors.map(e => `- ${e}`).join('\n')}`);
+  }
+
+  console.log(`Loaded questionnaire ${definition.id} v${definition.version} (${Object.keys(definition.slots).length} slots)`);
+  return definition;
+}
+
+// Load every questionnaire in a directory, keyed by questionnaire id
+function loadQuestionnaireDirectory(dirPath) {
+  const questionnaires = {};
+  const files = fs.readdirSync(dirPath).filter(file => file.endsWith('.json')).sort();
+
+  for (const file of files) {
+    const definition = loadQuestionnaire(path.join(dirPath, file));
+    if (questionnaires[definition.id]) {
+      throw new Error(`Duplicate questionnaire id "${definition.id}" in ${file}`);
+    }
+    questionnaires[definition.id] = definition;
+  }
+
+  return questionnaires;
+}
+
+module.exports = {
+  loadQuestionnaire,
+  loadQuestionnaireDirectory
+};
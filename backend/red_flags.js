@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { classifyEmergency } = require('./chains/safetyChain');
+
+// Red-flag (emergency) detection, run on every patient message before it is
+// routed. Two checks are combined:
+//   1. Clinic-maintained keyword rules in red_flag_rules.json: per category a
+//      label, regex `patterns` (case-insensitive), an optional `message`
+//      replacing the default `urgent_message`, and `ignore_slots` where the
+//      patterns would mostly match history ("heavy bleeding after delivery").
+//   2. An LLM classifier (chains/safetyChain.js) for messages the rules miss.
+//      It only counts current symptoms, so it also runs in ignored slots. To
+//      keep it off ordinary answers it only sees messages matching one of the
+//      rules file's `classifier_screen` patterns (symptom and risk words).
+// A hit is { category, label, source: 'keyword' | 'classifier', matched?, reasoning? }.
+const RULES_PATH = process.env.RED_FLAG_RULES_PATH || path.join(__dirname, 'red_flag_rules.json');
+
+// Classifier decisions below this confidence are not treated as emergencies
+const CLASSIFIER_MIN_CONFIDENCE = 0.7;
+// Messages shorter than this ("yes", "Sarah", "12") are checked by the rules only
+const CLASSIFIER_MIN_WORDS = 3;
+
+// Load and check the rules file, compiling the patterns
+function loadRedFlagRules(filePath = RULES_PATH) {
+  const fileName = path.basename(filePath);
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read red-flag rules ${fileName}: ${error.message}`);
+  }
+
+  if (!definition.urgent_message || typeof definition.urgent_message !== 'string') {
+    throw new Error(`Red-flag rules ${fileName}: missing "urgent_message"`);
+  }
+
+  const compile = (pattern, where) => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Red-flag rules ${fileName}: ${where} has an invalid pattern "${pattern}"`);
+    }
+  };
+
+  if (!Array.isArray(definition.classifier_screen) || definition.classifier_screen.length === 0) {
+    throw new Error(`Red-flag rules ${fileName}: "classifier_screen" must be a non-empty array of patterns`);
+  }
+  const classifierScreen = definition.classifier_screen.map(pattern => compile(pattern, 'classifier_screen'));
+
+  const categories = {};
+  for (const [id, category] of Object.entries(definition.categories || {})) {
+    if (!category.label) throw new Error(`Red-flag rules ${fileName}: categories.${id} needs a "label"`);
+    if (!Array.isArray(category.patterns) || category.patterns.length === 0) {
+      throw new Error(`Red-flag rules ${fileName}: categories.${id} needs a non-empty "patterns" array`);
+    }
+    categories[id] = {
+      label: category.label,
+      message: category.message || definition.urgent_message,
+      ignoreSlots: category.ignore_slots || [],
+      patterns: category.patterns.map(pattern => compile(pattern, `categories.${id}`))
+    };
+  }
+
+  console.log(`Loaded red-flag rules v${definition.version} (${Object.keys(categories).length} categories)`);
+  return { urgentMessage: definition.urgent_message, classifierScreen, categories };
+}
+
+const RED_FLAG_RULES = loadRedFlagRules();
+
+// The first keyword rule matching the message (rules ignored for `slotName` are skipped)
+function matchRedFlagRules(userResponse, slotName = null, rules = RED_FLAG_RULES) {
+  const text = String(userResponse || '');
+  for (const [category, config] of Object.entries(rules.categories)) {
+    if (slotName && config.ignoreSlots.includes(slotName)) continue;
+    const pattern = config.patterns.find(candidate => candidate.test(text));
+    if (pattern) {
+      return { category, label: config.label, source: 'keyword', matched: text.match(pattern)[0] };
+    }
+  }
+  return null;
+}
+
+// Check a patient message: keyword rules first, then the classifier for messages
+// that pass its screen. `question` is what the patient was answering (context
+// for the classifier).
+async function detectRedFlag(userResponse, { slotName = null, question = null, useClassifier = true } = {}, rules = RED_FLAG_RULES) {
+  const text = String(userResponse || '').trim();
+  if (!text) return null;
+
+  const ruleHit = matchRedFlagRules(text, slotName, rules);
+  if (ruleHit) return ruleHit;
+
+  if (!useClassifier || text.split(/\s+/).length < CLASSIFIER_MIN_WORDS) return null;
+  if (!rules.classifierScreen.some(pattern => pattern.test(text))) return null;
+
+  const labels = Object.fromEntries(Object.entries(rules.categories).map(([id, config]) => [id, config.label]));
+  let decision;
+  try {
+    decision = await classifyEmergency(text, question, labels);
+  } catch (error) {
+    // The keyword rules still apply; a failed classification raises no flag
+    console.error('Error in emergency classifier:', error.message);
+    return null;
+  }
+  if (!decision.isEmergency || decision.confidence < CLASSIFIER_MIN_CONFIDENCE) return null;
+
+  const category = rules.categories[decision.category] ? decision.category : 'other';
+  return {
+    category,
+    label: rules.categories[category]?.label || 'Other urgent symptom',
+    source: 'classifier',
+    confidence: decision.confidence,
+    reasoning: decision.reasoning
+  };
+}
+
+// The urgent-care message for a hit
+function getUrgentMessage(category, rules = RED_FLAG_RULES) {
+  return rules.categories[category]?.message || rules.urgentMessage;
+}
+
+module.exports = {
+  loadRedFlagRules,
+  matchRedFlagRules,
+  detectRedFlag,
+  getUrgentMessage
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { InterviewMemoryManager } = require('./memory');
+const DialogManager = require('./dialog_manager');
+const { DEFAULT_QUESTIONNAIRE_ID } = require('./slot_schema');
+
+// Sessions idle for longer than this are dropped from memory (they stay on disk)
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+// Persisted sessions can be resumed for this long after their last activity,
+// and a resume link works for this long after it was issued
+const RESUME_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const DATA_DIR = process.env.SESSION_DATA_DIR || path.join(__dirname, 'data', 'sessions');
+const RESUME_DIR = path.join(DATA_DIR, 'resume');
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const RESUME_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+// Default per-session settings
+const DEFAULT_SETTINGS = {
+  hybridMode: true,
+  // Each adds an LLM call to every turn, so they are opt-in
+  contextAwareMode: false,
+  advancedValidation: false,
+  // Extraction confidences in [min, max) are confirmed with the patient; below min they are discarded
+  confirmationBand: { min: 0.7, max: 0.85 },
+  // Agent settings from the UI for the Q&A, clarification and summary chains (null: each chain's default)
+  temperature: null,
+  maxTokens: null,
+  // Q&A system prompt for this session (null: the clinic's current prompt, see prompts.js)
+  systemPrompt: null,
+  // The care team's background on the patient, given to extraction and the summary
+  patientInfo: ''
+};
+
+// Resume tokens are stored by their hash, so the files never hold a usable link
+function hashResumeToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Write JSON via a temp file so a crash never leaves half a file
+function writeJsonFile(filePath, data) {
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+// Server-side interview state, one entry per patient interview. The server is
+// the source of truth for the transcript, filled slots and phase; clients only
+// send their session id and the patient's response. Every update is written to
+// a JSON file under DATA_DIR so interviews survive restarts and can be resumed.
+class SessionStore {
+  constructor() {
+    this.sessions = new Map();
+    fs.mkdirSync(RESUME_DIR, { recursive: true });
+  }
+
+  // Create a session for a new interview with the given questionnaire
+  createSession(questionnaireId = DEFAULT_QUESTIONNAIRE_ID) {
+    this.pruneExpiredSessions();
+
+    const now = new Date();
+    const session = {
+      id: crypto.randomUUID(),
+      questionnaireId,
+      memory: new InterviewMemoryManager(),
+      filledSlots: {},
+      currentSlot: null,
+      phase: 'interview', // interview -> review -> complete
+      lastQuestion: null, // wording shown for currentSlot (see DialogManager.rememberQuestion)
+      pendingConfirmations: [], // values awaiting the patient's yes/no (see DialogManager.queueConfirmation)
+      slotProvenance: {}, // where each answer came from (see provenance.js)
+      redFlags: [], // urgent symptoms the patient reported (see DialogManager.checkRedFlags)
+      resumeTokenHash: null, // the current resume link (see createResumeToken)
+      turn: 0, // patient messages so far
+      settings: { ...DEFAULT_SETTINGS },
+      summary: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    session.dialogManager = new DialogManager(session);
+    this.sessions.set(session.id, session);
+    this.saveSession(session);
+
+    console.log(`Session ${session.id} created (${questionnaireId}); active sessions: ${this.sessions.size}`);
+    return session;
+  }
+
+  // Look up a session by id, loading it from disk if it is not in memory
+  // (null when unknown or expired)
+  getSession(sessionId) {
+    if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) return null;
+
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      session = this.loadSession(sessionId);
+      if (!session) return null;
+      this.sessions.set(sessionId, session);
+    }
+
+    if (Date.now() - session.updatedAt.getTime() > RESUME_TTL_MS) {
+      this.deleteSession(sessionId);
+      return null;
+    }
+    return session;
+  }
+
+  // Record the interview state after a turn
+  updateSession(session, changes) {
+    Object.assign(session, changes, { updatedAt: new Date() });
+    this.saveSession(session);
+    return session;
+  }
+
+  // Start the session's interview over, keeping its id, questionnaire and settings.
+  // Red flags are kept too: a reported emergency stays on record for the care team.
+  async resetSession(session) {
+    await session.memory.clearMemory();
+    return this.updateSession(session, {
+      filledSlots: {},
+      currentSlot: null,
+      phase: 'interview',
+      lastQuestion: null,
+      pendingConfirmations: [],
+      slotProvenance: {},
+      turn: 0,
+      summary: null
+    });
+  }
+
+  deleteSession(sessionId) {
+    try {
+      const resumeTokenHash = this.sessions.get(sessionId)?.resumeTokenHash;
+      if (resumeTokenHash) fs.rmSync(this.getResumeTokenPath(resumeTokenHash), { force: true });
+      fs.rmSync(this.getSessionPath(sessionId), { force: true });
+    } catch (error) {
+      console.error(`Error deleting session ${sessionId}:`, error);
+    }
+    return this.sessions.delete(sessionId);
+  }
+
+  // Drop sessions that have been idle past the TTL from memory
+  pruneExpiredSessions() {
+    const cutoff = Date.now() - SESSION_TTL_MS;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.updatedAt.getTime() < cutoff) this.sessions.delete(sessionId);
+    }
+  }
+
+  getStats() {
+    return { activeSessions: this.sessions.size };
+  }
+
+  // -------------------
+  // Persistence
+  // -------------------
+  getSessionPath(sessionId) {
+    return path.join(DATA_DIR, `${sessionId}.json`);
+  }
+
+  // Write the session to disk
+  saveSession(session) {
+    const data = {
+      id: session.id,
+      questionnaireId: session.questionnaireId,
+      memory: session.memory.toJSON(),
+      filledSlots: session.filledSlots,
+      currentSlot: session.currentSlot,
+      phase: session.phase,
+      lastQuestion: session.lastQuestion,
+      pendingConfirmations: session.pendingConfirmations,
+      slotProvenance: session.slotProvenance,
+      redFlags: session.redFlags,
+      resumeTokenHash: session.resumeTokenHash,
+      turn: session.turn,
+      settings: session.settings,
+      summary: session.summary,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+
+    try {
+      writeJsonFile(this.getSessionPath(session.id), data);
+    } catch (error) {
+      console.error(`Error saving session ${session.id}:`, error);
+    }
+  }
+
+  // Rebuild a session (and its DialogManager) from disk
+  loadSession(sessionId) {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.getSessionPath(sessionId), 'utf-8'));
+      const session = {
+        ...data,
+        memory: InterviewMemoryManager.fromJSON(data.memory),
+        pendingConfirmations: data.pendingConfirmations || [],
+        slotProvenance: data.slotProvenance || {},
+        redFlags: data.redFlags || [],
+        resumeTokenHash: data.resumeTokenHash || null,
+        turn: data.turn || 0,
+        settings: { ...DEFAULT_SETTINGS, ...data.settings },
+        createdAt: new Date(data.createdAt),
+        updatedAt: new Date(data.updatedAt)
+      };
+      session.dialogManager = new DialogManager(session);
+      console.log(`Session ${sessionId} loaded from disk`);
+      return session;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Error loading session ${sessionId}:`, error);
+      return null;
+    }
+  }
+
+  // -------------------
+  // Resume links
+  // -------------------
+  // A "continue later" link is an opaque random token, unrelated to the session
+  // id, that expires RESUME_TTL_MS after it was issued. Only its hash is kept,
+  // in RESUME_DIR, naming the session. A new token replaces the session's last one.
+  getResumeTokenPath(tokenHash) {
+    return path.join(RESUME_DIR, `${tokenHash}.json`);
+  }
+
+  createResumeToken(session) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const tokenHash = hashResumeToken(token);
+    try {
+      if (session.resumeTokenHash) fs.rmSync(this.getResumeTokenPath(session.resumeTokenHash), { force: true });
+      writeJsonFile(this.getResumeTokenPath(tokenHash), {
+        sessionId: session.id,
+        expiresAt: new Date(Date.now() + RESUME_TTL_MS)
+      });
+    } catch (error) {
+      console.error(`Error saving resume token for session ${session.id}:`, error);
+    }
+    this.updateSession(session, { resumeTokenHash: tokenHash });
+    return token;
+  }
+
+  // The session a resume token opens (null when unknown, replaced or expired)
+  getSessionForResumeToken(token) {
+    if (!RESUME_TOKEN_PATTERN.test(String(token || ''))) return null;
+    const tokenHash = hashResumeToken(token);
+
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(this.getResumeTokenPath(tokenHash), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Error reading resume token:', error);
+      return null;
+    }
+    if (Date.now() > new Date(entry.expiresAt).getTime()) {
+      fs.rmSync(this.getResumeTokenPath(tokenHash), { force: true });
+      return null;
+    }
+
+    const session = this.getSession(entry.sessionId);
+    return session && session.resumeTokenHash === tokenHash ? session : null;
+  }
+}
+
+// One store per server process
+const sessionStore = new SessionStore();
+
+module.exports = {
+  SessionStore,
+  sessionStore
+};
@@ -1,153 +1,275 @@
-const SLOT_SCHEMA = {
-    slots: {
-      /* --- Minimal Test Schema --- */
-      "full_name": {
-        "id": "full_name",
-        "question": "What is your full name?",
-        "slot": "full_name",
-        "required": true,
-        "branches": {},
-        "next_default": "dob"
-      },
-      "dob": {
-        "id": "dob",
-        "question": "What is your date of birth?",
-        "slot": "dob",
-        "required": true,
-        "branches": {},
-        "next_default": "has_partner"
-      },
-      "has_partner": {
-        "id": "has_partner",
-        "question": "Do you have a partner who will be part of treatment? (yes/no)",
-        "slot": "has_partner",
-        "required": true,
-        "branches": {},
-        "next_default": "chief_complaint"
-      },
-      "chief_complaint": {
-        "id": "chief_complaint",
-        "question": "What brings you in today?",
-        "slot": "chief_complaint_text",
-        "required": true,
-        "branches": {
-          ".*fertility.*": "months_ttc",
-          ".*pregnant.*": "months_ttc",
-          ".*trying.*": "months_ttc"
-        },
-        "next_default": null
-      },
-      "months_ttc": {
-        "id": "months_ttc",
-        "question": "How many months have you been trying to get pregnant?",
-        "slot": "months_ttc",
-        "required": false,
-        "branches": {},
-        "next_default": null
-      },
-    }
-};
+const path = require('path');
+const { normalizeSlotValue } = require('./slot_types');
+const { loadQuestionnaireDirectory } = require('./questionnaire_loader');
+const { evaluateCondition } = require('./conditions');
+const { isAnswerState, getAnswerState } = require('./answer_states');
+const { computeSlotValues } = require('./computed_slots');
+
+// Slot graphs are loaded from versioned JSON definitions in questionnaires/
+// and linted at startup (see questionnaire_lint.js). Each questionnaire is a
+// separate interview flow; SLOT_SCHEMA is the default new-patient intake and
+// every helper below takes an optional `schema` to work on another one.
+// Sections are walked in order; within a section the walk follows
+// branches / next_default until it reaches null.
+// Every slot declares a `type` (see slot_types.js) plus its constraints.
+// Table slots collect a variable number of rows, asking `follow_up_question`
+// after each row until the patient says there are no more.
+// `branches` and `skip_if` use the condition language in conditions.js.
+// A slot may also hold a declined / unknown / skipped marker (answer_states.js).
+// `required` slots must be answered before the review can be approved, unless
+// staff mark them `can_defer` (they can be collected at the visit instead).
+// `computed` slots (computed_slots.js) are derived from answers, never asked.
+// `consistency_checks` are cross-slot rules ({ id, when, message, severity })
+// whose issues are shown in the review and the summary (checkDataConsistency).
+// Optional `help` is clinic-approved text explaining a question, used to answer
+// patient questions about it (approved_content.js).
+const QUESTIONNAIRES_DIR = path.join(__dirname, 'questionnaires');
+const DEFAULT_QUESTIONNAIRE_ID = 'fertility_intake';
+const QUESTIONNAIRES = loadQuestionnaireDirectory(QUESTIONNAIRES_DIR);
+const SLOT_SCHEMA = QUESTIONNAIRES[DEFAULT_QUESTIONNAIRE_ID];
+
+// Look up a registered questionnaire (the default when no id is given)
+function getQuestionnaire(questionnaireId) {
+  if (!questionnaireId) return SLOT_SCHEMA;
+  return QUESTIONNAIRES[questionnaireId] || null;
+}
+
+// Describe the registered questionnaires for selection
+function listQuestionnaires() {
+  return Object.values(QUESTIONNAIRES).map(({ id, version, title, description }) => ({
+    id,
+    version,
+    title,
+    description: description || '',
+    isDefault: id === DEFAULT_QUESTIONNAIRE_ID
+  }));
+}
+
+// Config for an asked or computed slot
+function getSlotConfig(slotName, schema = SLOT_SCHEMA) {
+  return schema.slots[slotName] || schema.computed?.[slotName] || null;
+}
+
+// Refresh computed slots after answers change; call whenever filledSlots is updated
+function updateComputedSlots(filledSlots, schema = SLOT_SCHEMA) {
+  return computeSlotValues(schema.computed, filledSlots);
+}
+
+// Follow a slot's branch conditions (or its default) to find the next slot.
+// Branches are evaluated in order and the first matching condition wins.
+function resolveNextSlot(slotName, filledSlots, schema = SLOT_SCHEMA) {
+  const cfg = schema.slots[slotName];
+  const branch = (cfg.branches || []).find(({ when }) => evaluateCondition(when, filledSlots, slotName));
+  return branch ? branch.next : (cfg.next_default || null);
+}
+
+// Whether a slot's `skip_if` condition currently holds
+function isSlotSkipped(slotName, filledSlots, schema = SLOT_SCHEMA) {
+  const cfg = schema.slots[slotName];
+  return Boolean(cfg?.skip_if) && evaluateCondition(cfg.skip_if, filledSlots, slotName);
+}
 
-// Helper function to get the next unfilled slot by walking the schema path
-function getNextUnfilledSlot(filledSlots) {
-  const slots = SLOT_SCHEMA.slots;
-  const ROOT_SLOT = Object.keys(slots)[0]; // first slot in the schema definition
+// A slot counts as answered once it has a value or an answer state; table
+// slots stay open until the patient says there are no more rows
+function isSlotAnswered(slotConfig, value) {
+  if (value === undefined) return false;
+  if (isAnswerState(value)) return true;
+  if (slotConfig?.type === 'table') return value?.complete === true;
+  return true;
+}
+
+// The question to ask for a slot, given what has been collected so far
+function getSlotQuestion(slotName, filledSlots = {}, schema = SLOT_SCHEMA) {
+  const slotConfig = schema.slots[slotName];
+  if (slotConfig.type === 'table' && filledSlots[slotName]?.rows?.length > 0) {
+    return slotConfig.follow_up_question || slotConfig.question;
+  }
+  return slotConfig.question;
+}
 
-  let current = ROOT_SLOT;
+// Helper function to get the next unfilled slot by walking the schema path.
+// Each section is entered at its first slot and walked until its path ends,
+// then the walk continues with the next section.
+function getNextUnfilledSlot(filledSlots, schema = SLOT_SCHEMA) {
+  const slots = schema.slots;
   const visited = new Set();
 
-  while (current) {
-    if (visited.has(current)) {
-      console.error('Branch traversal loop detected at slot:', current);
-      return null; // avoid infinite loop
-    }
-    visited.add(current);
+  for (const section of schema.sections) {
+    let current = section.slots[0];
+
+    while (current) {
+      if (visited.has(current)) {
+        console.error('Branch traversal loop detected at slot:', current);
+        return null; // avoid infinite loop
+      }
+      visited.add(current);
 
-    // If this slot is not yet filled, ask it next
-    if (filledSlots[current] === undefined) {
-      return current;
+      // Skipped slots are passed over via their default path
+      if (isSlotSkipped(current, filledSlots, schema)) {
+        current = slots[current].next_default || null;
+        continue;
+      }
+
+      // If this slot is not yet filled, ask it next
+      if (!isSlotAnswered(slots[current], filledSlots[current])) {
+        return current;
+      }
+
+      // Continue walking
+      current = resolveNextSlot(current, filledSlots, schema);
     }
+  }
+
+  return null; // All slots are filled along the traversed path
+}
 
-    const cfg = slots[current];
-    const value = String(filledSlots[current] ?? '').toLowerCase();
-
-    // Determine next slot based on branch patterns or default
-    let next = cfg.next_default || null;
-
-    if (cfg.branches && value) {
-      for (const [pattern, targetSlot] of Object.entries(cfg.branches)) {
-        let isMatch = false;
-        try {
-          // Treat branch keys as regex patterns (case-insensitive)
-          const regex = new RegExp(pattern, 'i');
-          isMatch = regex.test(value);
-        } catch (err) {
-          // If regex compilation fails, fall back to simple equality match
-          const options = pattern.split('|').map(v => v.trim().toLowerCase());
-          isMatch = options.includes(value);
-        }
-
-        if (isMatch) {
-          next = targetSlot;
-          break;
-        }
+// Every slot on the patient's current path, in the order it is asked. Unlike
+// getNextUnfilledSlot the walk continues past unanswered slots (via their
+// default), so the whole expected path is returned. Skipped slots are left out.
+function getPathSlots(filledSlots, schema = SLOT_SCHEMA) {
+  const slots = schema.slots;
+  const visited = new Set();
+  const pathSlots = [];
+
+  for (const section of schema.sections) {
+    let current = section.slots[0];
+
+    while (current && !visited.has(current)) {
+      visited.add(current);
+
+      if (isSlotSkipped(current, filledSlots, schema)) {
+        current = slots[current].next_default || null;
+        continue;
       }
+
+      pathSlots.push(current);
+      current = resolveNextSlot(current, filledSlots, schema);
     }
+  }
+
+  return pathSlots;
+}
 
-    // Continue walking
-    current = next;
+// Required slots on the patient's current path that still block approval:
+// unanswered or skipped, and not marked `can_defer`. Declined / unknown
+// answers are the patient's answer and do not block.
+function getMissingRequiredSlots(filledSlots, schema = SLOT_SCHEMA) {
+  return getPathSlots(filledSlots, schema).filter(slotName => {
+    const slotConfig = schema.slots[slotName];
+    const value = filledSlots[slotName];
+    const isMissing = !isSlotAnswered(slotConfig, value) || getAnswerState(value) === 'skipped';
+    return slotConfig.required && !slotConfig.can_defer && isMissing;
+  });
+}
+
+// The last answered slot on the path before `slotName` (before the end of the
+// path when slotName is null or not on it), or null at the start
+function getPreviousSlot(slotName, filledSlots, schema = SLOT_SCHEMA) {
+  const pathSlots = getPathSlots(filledSlots, schema);
+  const position = pathSlots.indexOf(slotName);
+  const before = position === -1 ? pathSlots : pathSlots.slice(0, position);
+  return before.reverse().find(name => filledSlots[name] !== undefined) || null;
+}
+
+// Filled slots that an earlier answer has taken off the patient's path: not on
+// the path, and not reachable from any unanswered slot on it (whose own branch
+// is not known yet). Computed slots are never included; they are recomputed.
+function getOffPathSlots(filledSlots, schema = SLOT_SCHEMA) {
+  const pathSlots = getPathSlots(filledSlots, schema);
+
+  const reachable = new Set();
+  const queue = pathSlots.filter(slotName => !isSlotAnswered(schema.slots[slotName], filledSlots[slotName]));
+  while (queue.length > 0) {
+    const slotName = queue.shift();
+    if (reachable.has(slotName) || !schema.slots[slotName]) continue;
+    reachable.add(slotName);
+    const slotConfig = schema.slots[slotName];
+    queue.push(...(slotConfig.branches || []).map(branch => branch.next));
+    if (slotConfig.next_default) queue.push(slotConfig.next_default);
   }
 
-  return null; // All slots are filled along the traversed path
+  return Object.keys(filledSlots).filter(slotName =>
+    schema.slots[slotName] && !pathSlots.includes(slotName) && !reachable.has(slotName)
+  );
+}
+
+// Find the section a slot belongs to (computed slots name theirs)
+function getSectionForSlot(slotName, schema = SLOT_SCHEMA) {
+  const computedSection = schema.computed?.[slotName]?.section;
+  return schema.sections.find(section =>
+    section.slots.includes(slotName) || section.id === computedSection
+  ) || null;
+}
+
+// Computed slots listed after the asked slots of a section
+function getComputedSlotsForSection(sectionId, schema = SLOT_SCHEMA) {
+  return Object.values(schema.computed || {})
+    .filter(computedConfig => computedConfig.section === sectionId)
+    .map(computedConfig => computedConfig.id);
 }
 
-// Helper function to validate a slot value
-function validateSlotValue(slotName, value) {
-  const slotConfig = SLOT_SCHEMA.slots[slotName];
-  if (!slotConfig) return { isValid: false, error: "Invalid slot name" };
+// Group filled slots by schema section, in questionnaire order.
+// Slots that are not part of any section are collected under "Other".
+function groupSlotsBySection(filledSlots, schema = SLOT_SCHEMA) {
+  const groups = schema.sections
+    .map(section => ({
+      id: section.id,
+      title: section.title,
+      entries: [...section.slots, ...getComputedSlotsForSection(section.id, schema)]
+        .filter(slotName => filledSlots[slotName] !== undefined)
+        .map(slotName => ({ slotName, value: filledSlots[slotName] }))
+    }));
+
+  const unsectioned = Object.keys(filledSlots)
+    .filter(slotName => !getSectionForSlot(slotName, schema))
+    .map(slotName => ({ slotName, value: filledSlots[slotName] }));
+
+  if (unsectioned.length > 0) {
+    groups.push({ id: 'other', title: 'Other', entries: unsectioned });
+  }
+
+  return groups.filter(group => group.entries.length > 0);
+}
+
+// Helper function to validate a slot value against its declared type.
+// On success `value` holds the canonical form that should be stored.
+function validateSlotValue(slotName, value, schema = SLOT_SCHEMA) {
+  const slotConfig = schema.slots[slotName];
+  if (!slotConfig) return { isValid: false, error: "Invalid slot name", value: null };
   
   try {
     // If value is null or undefined, it's invalid
     if (value === null || value === undefined) {
-      return { isValid: false, error: "No value provided" };
-    }
-    
-    // Boolean values are always valid (true/false responses)
-    if (typeof value === 'boolean') {
-      return { isValid: true, error: null };
-    }
-    
-    // Basic validation - most values are acceptable as strings
-    // We can add more specific validation later if needed
-    if (typeof value === 'string' && value.trim() === '') {
-      return { isValid: false, error: "Empty value provided" };
-    }
-    
-    // Arrays should not be empty unless explicitly allowed
-    if (Array.isArray(value) && value.length === 0) {
-      // Empty arrays are OK for "none" responses to list questions
-      return { isValid: true, error: null };
+      return { isValid: false, error: "No value provided", value: null };
     }
-    
-    return { isValid: true, error: null };
+
+    return normalizeSlotValue(slotConfig, value);
   } catch (error) {
     return {
       isValid: false,
-      error: "Validation error occurred"
+      error: "Validation error occurred",
+      value: null
     };
   }
 }
 
-// Helper function to validate dates
-function isValidDate(value) {
-  if (!value) return false;
-  const date = new Date(value);
-  return date instanceof Date && !isNaN(date);
-}
-
 module.exports = { 
   SLOT_SCHEMA,
+  DEFAULT_QUESTIONNAIRE_ID,
+  getQuestionnaire,
+  listQuestionnaires,
   getNextUnfilledSlot,
+  getMissingRequiredSlots,
+  getPathSlots,
+  getPreviousSlot,
+  getOffPathSlots,
+  getSlotConfig,
+  updateComputedSlots,
+  getSectionForSlot,
+  getSlotQuestion,
+  isSlotAnswered,
+  isSlotSkipped,
+  groupSlotsBySection,
   validateSlotValue
 };
   
\ No newline at end of file
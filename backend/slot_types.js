@@ -0,0 +1,368 @@
+// Slot type system: every slot in SLOT_SCHEMA declares a `type`, and answers are
+// validated and normalized to a canonical stored form here.
+
+const { describeAnswerState } = require('./answer_states');
+
+const WORD_NUMBERS = {
+  zero: 0, none: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+  fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20
+};
+
+// Conversion factors to each canonical unit
+const UNIT_FACTORS = {
+  cm: { cm: 1, mm: 0.1, m: 100, in: 2.54, ft: 30.48 },
+  kg: { kg: 1, g: 0.001, lb: 0.45359237, st: 6.35029318 }
+};
+
+const UNIT_ALIASES = {
+  cm: 'cm', centimeter: 'cm', centimeters: 'cm', centimetre: 'cm', centimetres: 'cm',
+  mm: 'mm', m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+  in: 'in', inch: 'in', inches: 'in', '"': 'in',
+  ft: 'ft', foot: 'ft', feet: 'ft', "'": 'ft',
+  kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+  g: 'g', gram: 'g', grams: 'g',
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  st: 'st', stone: 'st'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[\+]?[1-9][\d]{6,15}$/;
+const NONE_PATTERN = /^(none|no|nope|nothing|n\/a|na|not any|no(?:ne)? that i know of)\b/i;
+const DONE_PATTERN = /^(that'?s (all|it)|no more|nothing (else|more)|i'?m done|done)\b/i;
+
+// Yes/no answers: a leading yes or no word, or a bare "I do" / "I don't".
+// Sentences such as "I have never smoked" or "I am single" are left to the model.
+const YES_PATTERN = /^(yes|y|yeah|yep|yup|true|correct|sure)\b/;
+const NO_PATTERN = /^(no|n|nope|false|never|none)\b/;
+const BARE_YES_PATTERN = /^(i do|i have|i am|i did)$/;
+const BARE_NO_PATTERN = /^(not|i don'?t|i do not|i haven'?t|i have not|i'?m not|i am not|i didn'?t|i did not)$/;
+const NEGATION_PATTERN = /\b(no|not|never|none|nope)\b|n'?t\b/;
+
+// Responses that are nothing but a value of the slot's type ("yes", "165 cm",
+// "1990-04-12", "none"). Only these are stored without the model; a sentence may
+// answer other questions too ("I am 35 and we have been trying for 8 months").
+const NUMBER_WORDS = Object.keys(WORD_NUMBERS).join('|');
+const UNIT_WORDS = Object.keys(UNIT_ALIASES).filter(alias => /^[a-z]+$/.test(alias)).join('|');
+const BARE_ANSWER_PATTERNS = {
+  boolean: /^(yes|y|yeah|yep|yup|true|correct|no|n|nope|false)$/,
+  integer: new RegExp(`^(-?\\d+(\\.\\d+)?|${NUMBER_WORDS})( [a-z]+)?$`),
+  quantity: new RegExp(`^\\d+(\\.\\d+)? ?(${UNIT_WORDS}|'|")?( ?\\d+(\\.\\d+)? ?(${UNIT_WORDS}|")?)?$`),
+  date: /^(\d{1,4}[-\/.]\d{1,2}[-\/.]\d{1,4}|[a-z]+\.? \d{1,2}(st|nd|rd|th)?,? \d{4}|\d{1,2}(st|nd|rd|th)? [a-z]+\.?,? \d{4})$/,
+  email: /^\S+$/,
+  phone: /^[\d ()+.-]+$/,
+  list: /^(none|no|nope|nothing|n\/a|na|not any)$/,
+  table: /^(none|no|nope|nothing|n\/a|na|that'?s (all|it)|no more|nothing (else|more)|i'?m done|done)$/
+};
+
+const ok = (value) => ({ isValid: true, error: null, value });
+const fail = (error) => ({ isValid: false, error, value: null });
+
+// Helper function to read every number (digits or number words) in a response
+function findNumbers(text) {
+  const digits = [...text.matchAll(/-?\d+(?:\.\d+)?/g)].map(match => parseFloat(match[0]));
+  const words = text.split(/[^a-z]+/).filter(word => word in WORD_NUMBERS).map(word => WORD_NUMBERS[word]);
+  return [...digits, ...words];
+}
+
+// Helper function to parse a date into YYYY-MM-DD, or null if it is not a full date
+function parseDate(raw) {
+  const text = String(raw).trim();
+  let year, month, day;
+  let m;
+
+  if ((m = text.match(/^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})$/))) {
+    [year, month, day] = [m[1], m[2], m[3]].map(Number);
+  } else if ((m = text.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{4})$/))) {
+    // US ordering: MM/DD/YYYY
+    [month, day, year] = [m[1], m[2], m[3]].map(Number);
+  } else {
+    // Natural language dates ("March 3, 1990") must still name a day and a year
+    if (!/\b\d{4}\b/.test(text) || !/\b\d{1,2}(st|nd|rd|th)?\b/.test(text)) return null;
+    const parsed = new Date(text.replace(/(\d)(st|nd|rd|th)\b/g, '$1'));
+    if (isNaN(parsed)) return null;
+    [year, month, day] = [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()];
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null; // e.g. 02/30/1990
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Helper function to parse a measurement ("5'6\"", "165 cm", "150 lbs") into a canonical unit
+function parseQuantity(raw, unit, defaultUnit) {
+  const factors = UNIT_FACTORS[unit];
+  if (typeof raw === 'number') return raw * (factors[defaultUnit || unit] || 1);
+
+  const text = String(raw).toLowerCase().replace(/,/g, '');
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+|'|")?/g)];
+  if (parts.length === 0) return null;
+
+  let total = 0;
+  let sawUnit = false;
+  for (const [, amount, unitText] of parts) {
+    const sourceUnit = UNIT_ALIASES[unitText];
+    if (sourceUnit && factors[sourceUnit] !== undefined) {
+      total += parseFloat(amount) * factors[sourceUnit];
+      sawUnit = true;
+    } else if (sawUnit && unit === 'cm') {
+      total += parseFloat(amount) * factors.in; // 5 ft 6 → trailing inches
+    } else if (!sawUnit) {
+      total += parseFloat(amount) * (factors[defaultUnit || unit] || 1);
+    }
+  }
+  return Math.round(total * 10) / 10;
+}
+
+// Validate one row of a table slot column by column
+function normalizeTableRow(row, columns = {}) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) return fail('Please describe one item at a time');
+
+  const normalized = {};
+  let hasAnyValue = false;
+  for (const [columnName, columnConfig] of Object.entries(columns)) {
+    const label = columnConfig.label || columnName;
+    const raw = row[columnName];
+    if (raw === null || raw === undefined || String(raw).trim() === '') {
+      if (columnConfig.required) return fail(`Missing ${label.toLowerCase()}`);
+      normalized[columnName] = null;
+      continue;
+    }
+    const result = normalizeSlotValue(columnConfig, raw);
+    if (!result.isValid) return fail(`${label}: ${result.error}`);
+    normalized[columnName] = result.value;
+    hasAnyValue = true;
+  }
+
+  return hasAnyValue ? ok(normalized) : fail('No details provided');
+}
+
+// Range check shared by numeric types
+function checkRange(value, slotConfig, unitLabel = '') {
+  const { min, max } = slotConfig;
+  const suffix = unitLabel ? ` ${unitLabel}` : '';
+  if (min !== undefined && value < min) return `Value must be at least ${min}${suffix}`;
+  if (max !== undefined && value > max) return `Value must be at most ${max}${suffix}`;
+  return null;
+}
+
+const SLOT_TYPES = {
+  text: {
+    describe: () => 'free text',
+    normalize(value, slotConfig) {
+      const text = String(value).trim();
+      if (!text) return fail('Empty value provided');
+      if (slotConfig.pattern && !new RegExp(slotConfig.pattern, 'i').test(text)) {
+        return fail(slotConfig.pattern_error || 'Value is not in the expected format');
+      }
+      return ok(text);
+    }
+  },
+
+  email: {
+    describe: () => 'email address',
+    normalize(value) {
+      const email = String(value).trim().toLowerCase();
+      return EMAIL_PATTERN.test(email) ? ok(email) : fail('Please provide a valid email address');
+    }
+  },
+
+  phone: {
+    describe: () => 'phone number (digits)',
+    normalize(value) {
+      const phone = String(value).replace(/[\s\-\(\)\.]/g, '');
+      return PHONE_PATTERN.test(phone) ? ok(phone) : fail('Please provide a valid phone number');
+    }
+  },
+
+  date: {
+    describe: () => 'date (YYYY-MM-DD)',
+    normalize(value, slotConfig) {
+      const date = parseDate(value);
+      if (!date) return fail('Please provide a full date, including the day, month and year');
+      if (slotConfig.not_future && date > new Date().toISOString().slice(0, 10)) {
+        return fail('The date cannot be in the future');
+      }
+      return ok(date);
+    }
+  },
+
+  integer: {
+    describe: (slotConfig) => `whole number${slotConfig.unit ? ` of ${slotConfig.unit}` : ''}`,
+    normalize(value, slotConfig) {
+      let number = value;
+      if (typeof value !== 'number') {
+        const text = String(value).toLowerCase();
+        const numbers = findNumbers(text);
+        if (numbers.length === 0) return fail('Please provide a number');
+        // "between 28 and 35 days" or "35, and trying for 8 months" is for the model
+        if (numbers.length > 1 || /\bhalf\b/.test(text)) return fail('Please provide a single number');
+        number = numbers[0];
+        // Durations counted in months are often answered in years (but not in both)
+        if (slotConfig.unit === 'months' && /\byears?\b/.test(text)) {
+          if (/\bmonths?\b/.test(text)) return fail('Please provide a single number of months');
+          number *= 12;
+        }
+      }
+      if (isNaN(number)) return fail('Please provide a number');
+      number = Math.round(number);
+      const rangeError = checkRange(number, slotConfig, slotConfig.unit);
+      return rangeError ? fail(rangeError) : ok(number);
+    }
+  },
+
+  quantity: {
+    describe: (slotConfig) => `measurement, converted to ${slotConfig.unit}`,
+    normalize(value, slotConfig) {
+      const amount = parseQuantity(value, slotConfig.unit, slotConfig.default_unit);
+      if (amount === null || isNaN(amount)) return fail('Please provide a measurement, including the units');
+      const rangeError = checkRange(amount, slotConfig, slotConfig.unit);
+      return rangeError ? fail(rangeError) : ok(amount);
+    }
+  },
+
+  boolean: {
+    describe: () => 'yes/no (boolean)',
+    normalize(value) {
+      if (typeof value === 'boolean') return ok(value);
+      const text = String(value).trim().toLowerCase().replace(/[.!]+$/, '');
+      // A leading yes or no decides, unless the rest contradicts it ("yes, but not anymore")
+      if (YES_PATTERN.test(text)) {
+        return NEGATION_PATTERN.test(text.replace(YES_PATTERN, '')) ? fail('Please answer yes or no') : ok(true);
+      }
+      if (NO_PATTERN.test(text)) {
+        return /\byes\b/.test(text) ? fail('Please answer yes or no') : ok(false);
+      }
+      if (BARE_NO_PATTERN.test(text)) return ok(false);
+      if (BARE_YES_PATTERN.test(text)) return ok(true);
+      return fail('Please answer yes or no');
+    }
+  },
+
+  enum: {
+    describe: (slotConfig) => `one of: ${slotConfig.options.join(', ')}`,
+    normalize(value, slotConfig) {
+      const text = String(value).trim().toLowerCase();
+      const options = slotConfig.options || [];
+      const aliases = slotConfig.aliases || {};
+
+      const exact = options.find(option => option.toLowerCase() === text);
+      if (exact) return ok(exact);
+      if (aliases[text]) return ok(aliases[text]);
+
+      // Accept a response that mentions exactly one option as a whole word
+      const mentioned = options.filter(option => new RegExp(`\\b${option.toLowerCase()}\\b`).test(text));
+      if (mentioned.length === 1) return ok(mentioned[0]);
+
+      return fail(`Please answer with one of: ${options.join(', ')}`);
+    }
+  },
+
+  table: {
+    describe: (slotConfig) => `table rows with columns: ${Object.entries(slotConfig.columns || {})
+      .map(([columnName, columnConfig]) => `${columnName} (${describeSlotType(columnConfig)})`)
+      .join(', ')}`,
+    // Accepts a table state ({ rows, complete }), an array of rows or a single row
+    normalize(value, slotConfig) {
+      let rows;
+      let complete = false;
+      if (Array.isArray(value)) {
+        rows = value;
+      } else if (value && typeof value === 'object' && Array.isArray(value.rows)) {
+        rows = value.rows;
+        complete = value.complete === true;
+      } else if (value && typeof value === 'object') {
+        rows = [value];
+      } else {
+        return fail('Please describe one item at a time');
+      }
+
+      const normalizedRows = [];
+      for (const row of rows) {
+        const result = normalizeTableRow(row, slotConfig.columns);
+        if (!result.isValid) return result;
+        normalizedRows.push(result.value);
+      }
+      return ok({ rows: normalizedRows, complete });
+    }
+  },
+
+  list: {
+    describe: () => 'list of items (empty list for none)',
+    normalize(value) {
+      if (Array.isArray(value)) {
+        return ok(value.map(item => String(item).trim()).filter(Boolean));
+      }
+      const text = String(value).trim();
+      if (!text) return fail('Empty value provided');
+      // Empty arrays are OK for "none" responses to list questions
+      if (NONE_PATTERN.test(text)) return ok([]);
+      return ok(text.split(/\s*(?:,|;|\band\b)\s*/i).map(item => item.trim()).filter(Boolean));
+    }
+  }
+};
+
+// Validate a raw value against a slot's declared type and return its canonical form
+function normalizeSlotValue(slotConfig, value) {
+  const slotType = SLOT_TYPES[slotConfig.type || 'text'];
+  if (!slotType) return fail(`Unknown slot type: ${slotConfig.type}`);
+  return slotType.normalize(value, slotConfig);
+}
+
+// Short description of the expected answer, for extraction prompts
+function describeSlotType(slotConfig) {
+  const slotType = SLOT_TYPES[slotConfig.type || 'text'];
+  return slotType ? slotType.describe(slotConfig) : 'free text';
+}
+
+// Render table rows as a markdown table
+function formatTable(slotConfig, rows) {
+  if (rows.length === 0) return 'None';
+  const columns = Object.entries(slotConfig.columns || {});
+  const header = `| ${columns.map(([name, config]) => config.label || name).join(' | ')} |`;
+  const divider = `| ${columns.map(() => '---').join(' | ')} |`;
+  const body = rows.map(row => `| ${columns
+    .map(([name, config]) => (row[name] === null || row[name] === undefined ? '—' : formatSlotValue(config, row[name])))
+    .join(' | ')} |`);
+  return [header, divider, ...body].join('\n');
+}
+
+// True when the whole response is a bare value of the slot's type: an exact
+// option (or alias) for enums, a yes/no, a number with at most a unit, a date, an
+// email or phone number, or "none" for lists and tables. Free text never is.
+function isBareAnswer(slotConfig, response) {
+  const text = String(response).trim().toLowerCase().replace(/[.!]+$/, '').replace(/\s+/g, ' ');
+  if (slotConfig.type === 'enum') {
+    return (slotConfig.options || []).some(option => option.toLowerCase() === text) || Boolean(slotConfig.aliases?.[text]);
+  }
+  return BARE_ANSWER_PATTERNS[slotConfig.type]?.test(text) || false;
+}
+
+// True when a response means "no" / "no more" (used to close table slots)
+function isNegativeResponse(response) {
+  const text = String(response).trim();
+  return NONE_PATTERN.test(text) || DONE_PATTERN.test(text) || SLOT_TYPES.boolean.normalize(text).value === false;
+}
+
+// Render a stored value for patients and clinicians
+function formatSlotValue(slotConfig, value) {
+  const answerState = describeAnswerState(value);
+  if (answerState) return answerState;
+  if (slotConfig?.type === 'table') return formatTable(slotConfig, value?.rows || []);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'None';
+  if (slotConfig?.unit && typeof value === 'number') return `${value} ${slotConfig.unit}`;
+  return String(value);
+}
+
+module.exports = {
+  SLOT_TYPES,
+  normalizeSlotValue,
+  describeSlotType,
+  formatSlotValue,
+  isNegativeResponse,
+  isBareAnswer,
+  parseDate
+};
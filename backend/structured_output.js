@@ -0,0 +1,110 @@
+const { ZodError } = require('zod');
+const { AIMessage, HumanMessage, isBaseMessage } = require('@langchain/core/messages');
+const { OutputParserException } = require('@langchain/core/output_parsers');
+const { recordParseResult } = require('./llm_metrics');
+
+// Shared parsing for every chain that asks a model for JSON. The reply is checked
+// against the chain's zod schema; an invalid reply is sent back to the model once
+// with what was wrong (MAX_REPAIRS), and if that fails too a StructuredOutputError
+// is thrown for the caller to handle. Outcomes are counted per chain in the metrics.
+const MAX_REPAIRS = 1;
+
+// A model reply that could not be turned into the chain's schema.
+// `reason` is 'invalid_json' or 'schema_mismatch'; `issues` lists what was wrong.
+class StructuredOutputError extends Error {
+  constructor(chain, reason, { issues = [], rawOutput = null, attempts = 1 } = {}) {
+    super(`Chain "${chain}" returned ${reason === 'invalid_json' ? 'invalid JSON' : 'JSON not matching its schema'}: ${issues.join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.chain = chain;
+    this.reason = reason;
+    this.issues = issues;
+    this.rawOutput = rawOutput;
+    this.attempts = attempts;
+  }
+}
+
+// The JSON object in a reply, without markdown fences or surrounding prose
+function extractJson(text) {
+  const cleaned = String(text).replace(/```(?:json)?/gi, '').trim();
+  if (cleaned.startsWith('{') && cleaned.endsWith('}')) return cleaned;
+  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+  return jsonMatch ? jsonMatch[0] : cleaned;
+}
+
+function describeZodIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+}
+
+// Parse one reply: a chat message with JSON text, or the object already parsed
+// by a model with native structured output. Throws StructuredOutputError.
+function parseStructuredOutput(chain, output, schema) {
+  const rawOutput = isBaseMessage(output) ? String(output.content) : output;
+  let data = rawOutput;
+  if (typeof rawOutput === 'string') {
+    try {
+      data = JSON.parse(extractJson(rawOutput));
+    } catch (error) {
+      throw new StructuredOutputError(chain, 'invalid_json', { issues: [error.message], rawOutput });
+    }
+  }
+
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    throw new StructuredOutputError(chain, 'schema_mismatch', { issues: describeZodIssues(result.error), rawOutput });
+  }
+  return result.data;
+}
+
+// Native structured output parses inside the model; its parse failures count too
+function toStructuredOutputError(chain, error) {
+  if (error instanceof StructuredOutputError) return error;
+  if (error instanceof ZodError) {
+    return new StructuredOutputError(chain, 'schema_mismatch', { issues: describeZodIssues(error) });
+  }
+  if (error instanceof SyntaxError || error instanceof OutputParserException) {
+    return new StructuredOutputError(chain, 'invalid_json', { issues: [error.message], rawOutput: error.llmOutput ?? null });
+  }
+  return null;
+}
+
+// Invoke `model` with `messages` (a prompt string or chat messages) and return the
+// reply parsed with `schema`. Other errors (network, rate limits) are thrown as they are.
+async function invokeStructured(chain, model, messages, schema, { maxRepairs = MAX_REPAIRS } = {}) {
+  let conversation = typeof messages === 'string' ? [new HumanMessage(messages)] : messages;
+
+  for (let attempt = 1; ; attempt++) {
+    let parseError;
+    try {
+      const data = parseStructuredOutput(chain, await model.invoke(conversation), schema);
+      recordParseResult(chain, { attempts: attempt, ok: true });
+      return data;
+    } catch (error) {
+      parseError = toStructuredOutputError(chain, error);
+      if (!parseError) throw error;
+    }
+
+    parseError.attempts = attempt;
+    console.warn(`Structured output from ${chain} rejected (attempt ${attempt}): ${parseError.issues.join('; ')}`);
+    if (attempt > maxRepairs) {
+      recordParseResult(chain, { attempts: attempt, ok: false });
+      throw parseError;
+    }
+
+    // Show the model its reply and what was wrong with it; native structured
+    // output is simply asked again
+    if (typeof parseError.rawOutput === 'string') {
+      conversation = [
+        ...conversation,
+        new AIMessage(parseError.rawOutput),
+        new HumanMessage(`That reply could not be used (${parseError.issues.join('; ')}). Reply again with only the corrected JSON object, following the format instructions exactly.`)
+      ];
+    }
+  }
+}
+
+module.exports = {
+  StructuredOutputError,
+  invokeStructured,
+  parseStructuredOutput,
+  extractJson
+};
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  makeAnswerState,
+  getAnswerState,
+  isAnswerState,
+  detectAnswerState,
+  describeAnswerState
+} = require('../answer_states');
+
+test('markers are recognised and real values are not', () => {
+  assert.equal(getAnswerState(makeAnswerState('declined')), 'declined');
+  assert.equal(isAnswerState({ answer_state: 'unknown' }), true);
+  assert.equal(isAnswerState({ answer_state: 'maybe' }), false);
+  for (const value of ['no', false, 0, null, undefined, ['none'], { rows: [] }]) {
+    assert.equal(isAnswerState(value), false, `${JSON.stringify(value)} is a value`);
+  }
+});
+
+test('a reason is only stored when given', () => {
+  assert.deepEqual(makeAnswerState('skipped'), { answer_state: 'skipped' });
+  assert.deepEqual(makeAnswerState('skipped', 'deferred'), { answer_state: 'skipped', reason: 'deferred' });
+});
+
+test('declining and not knowing are detected from the response', () => {
+  assert.equal(detectAnswerState("I'd rather not say"), 'declined');
+  assert.equal(detectAnswerState("I don't want to answer that"), 'declined');
+  assert.equal(detectAnswerState("I don't remember"), 'unknown');
+  assert.equal(detectAnswerState('Not sure'), 'unknown');
+  assert.equal(detectAnswerState("I really don't remember, sorry."), 'unknown');
+  assert.equal(detectAnswerState('About 8 months'), null);
+  assert.equal(detectAnswerState(''), null);
+});
+
+test('a don\'t-know followed by an answer is not unknown', () => {
+  assert.equal(detectAnswerState("I don't remember the exact day, but it was March 2020"), null);
+  assert.equal(detectAnswerState('not sure, maybe 2019'), null);
+  assert.equal(detectAnswerState("I don't know the name, it's a blood thinner"), null);
+});
+
+test('descriptions include skip reasons and pending answers', () => {
+  assert.equal(describeAnswerState(makeAnswerState('declined')), 'Patient declined to answer');
+  assert.equal(describeAnswerState(makeAnswerState('skipped', 'not_applicable')), 'Not asked (not applicable based on earlier answers)');
+  assert.equal(describeAnswerState(makeAnswerState('skipped', 'other')), 'Skipped (could not be captured)');
+  assert.equal(describeAnswerState({ answer_state: 'pending', raw: 'March 3 1990' }), 'Saved, not processed yet: "March 3 1990"');
+  assert.equal(describeAnswerState('Sarah'), null);
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+process.env.SESSION_DATA_DIR = DATA_DIR;
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionStore } = require('../session_store');
+const { isAnswerState } = require('../answer_states');
+const { getNextUnfilledSlot, getMissingRequiredSlots, updateComputedSlots, validateSlotValue } = require('../slot_schema');
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const SAMPLE_ANSWERS = {
+  dob: '1990-04-12', email: 'sam@example.com', phone: '5551234567', height: 165, weight: 60
+};
+
+// Answer every question on the path, with `answers` overriding the samples
+function answerInterview(schema, answers = {}) {
+  let filledSlots = {};
+  for (let slotName = getNextUnfilledSlot(filledSlots, schema); slotName; slotName = getNextUnfilledSlot(filledSlots, schema)) {
+    const slotConfig = schema.slots[slotName];
+    const sample = {
+      text: 'Sam', boolean: false, date: '2026-01-05', integer: slotConfig.min ?? 1,
+      enum: slotConfig.options?.[0], list: [], table: { rows: [], complete: true }
+    }[slotConfig.type];
+    const raw = slotName in answers ? answers[slotName] : SAMPLE_ANSWERS[slotName] ?? sample;
+    const value = isAnswerState(raw) ? raw : validateSlotValue(slotName, raw, schema).value;
+    filledSlots = updateComputedSlots({ ...filledSlots, [slotName]: value }, schema);
+  }
+  return filledSlots;
+}
+
+const newSession = () => new SessionStore().createSession();
+
+test('a complete interview can be approved', () => {
+  const { dialogManager } = newSession();
+  const filledSlots = answerInterview(dialogManager.schema);
+  assert.deepEqual(getMissingRequiredSlots(filledSlots, dialogManager.schema), []);
+  assert.deepEqual(dialogManager.checkApproval(filledSlots), { approved: true });
+});
+
+test('skipped required answers block approval and are asked again', () => {
+  const { dialogManager } = newSession();
+  const filledSlots = answerInterview(dialogManager.schema, { last_name: { answer_state: 'skipped' } });
+
+  const approval = dialogManager.checkApproval(filledSlots);
+  assert.equal(approval.approved, false);
+  assert.deepEqual(approval.missingSlots, ['last_name']);
+  assert.equal(approval.filledSlots.last_name, undefined);
+  assert.equal(approval.slot, 'last_name');
+  assert.match(approval.message, /still need a few required answers/);
+});
+
+test('declined and unknown answers do not block approval', () => {
+  const { dialogManager } = newSession();
+  const filledSlots = answerInterview(dialogManager.schema, {
+    last_name: { answer_state: 'declined' },
+    sex_at_birth: { answer_state: 'unknown' }
+  });
+  assert.equal(dialogManager.checkApproval(filledSlots).approved, true);
+});
+
+test('deferrable answers and questions off the patient\'s path do not block approval', () => {
+  const { dialogManager } = newSession();
+  const schema = dialogManager.schema;
+  const filledSlots = answerInterview(schema, { has_partner: false, height: { answer_state: 'skipped' } });
+
+  assert.equal(schema.slots.partner_first_name.required, true);
+  assert.equal(filledSlots.partner_first_name, undefined);
+  assert.equal(schema.slots.height.can_defer, true);
+  assert.deepEqual(getMissingRequiredSlots(filledSlots, schema), []);
+});
+
+test('the review lists what is still needed', () => {
+  const { dialogManager } = newSession();
+  const filledSlots = answerInterview(dialogManager.schema, { last_name: { answer_state: 'skipped' } });
+  assert.match(dialogManager.generateReviewMessage(filledSlots), /Still needed before you can approve\n- .*last name/i);
+});
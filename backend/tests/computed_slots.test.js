@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { COMPUTE_FUNCTIONS, computeSlotValues } = require('../computed_slots');
+const { getQuestionnaire, getPathSlots } = require('../slot_schema');
+
+const fertility = getQuestionnaire('fertility_intake');
+
+test('compute functions', () => {
+  assert.equal(COMPUTE_FUNCTIONS.bmi([165, 60]), 22);
+  assert.equal(COMPUTE_FUNCTIONS.bmi([0, 60]), null);
+  assert.equal(COMPUTE_FUNCTIONS.days_between(['2026-02-01', '2026-01-04']), 28);
+  assert.equal(COMPUTE_FUNCTIONS.days_between(['2026-01-04', '2026-02-01']), null);
+  assert.equal(COMPUTE_FUNCTIONS.duration_from_months([27]), '2 years 3 months');
+  assert.equal(COMPUTE_FUNCTIONS.duration_from_months([1]), '1 month');
+  assert.equal(COMPUTE_FUNCTIONS.duration_from_months([12]), '1 year');
+});
+
+test('infertility criteria: 12 months, or 6 months from age 35', () => {
+  assert.equal(COMPUTE_FUNCTIONS.infertility_criteria_met([34, 11]), false);
+  assert.equal(COMPUTE_FUNCTIONS.infertility_criteria_met([34, 12]), true);
+  assert.equal(COMPUTE_FUNCTIONS.infertility_criteria_met([35, 6]), true);
+  assert.equal(COMPUTE_FUNCTIONS.infertility_criteria_met([null, 6]), null);
+});
+
+test('computed slots are derived from the answers, in declaration order', () => {
+  const filledSlots = computeSlotValues(fertility.computed, { dob: '1980-01-01', months_ttc: 8, height: 165, weight: 60 });
+  assert.ok(filledSlots.age >= 46);
+  assert.equal(filledSlots.bmi, 22);
+  assert.equal(filledSlots.infertility_duration, '8 months');
+  assert.equal(filledSlots.infertility_criteria_met, true);
+});
+
+test('computed slots are removed when an input is missing or not a value', () => {
+  const filledSlots = computeSlotValues(fertility.computed, {
+    dob: { answer_state: 'declined' },
+    months_ttc: 8,
+    height: 165,
+    bmi: 22
+  });
+  assert.equal(filledSlots.age, undefined);
+  assert.equal(filledSlots.bmi, undefined);
+  assert.equal(filledSlots.infertility_criteria_met, undefined);
+  assert.equal(filledSlots.infertility_duration, '8 months');
+});
+
+test('branches can use computed slots', () => {
+  const base = { trying_to_conceive: true, months_ttc: 8 };
+  const older = computeSlotValues(fertility.computed, { ...base, dob: '1980-01-01' });
+  const younger = computeSlotValues(fertility.computed, { ...base, dob: '2000-01-01' });
+  assert.ok(getPathSlots(older, fertility).includes('prior_fertility_evaluation'));
+  assert.ok(!getPathSlots(younger, fertility).includes('prior_fertility_evaluation'));
+});
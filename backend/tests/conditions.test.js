@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateCondition, yearsSince } = require('../conditions');
+
+test('comparisons read the named slot, or the branching slot when none is named', () => {
+  const filledSlots = { months_ttc: 14, has_partner: true };
+  assert.equal(evaluateCondition({ slot: 'months_ttc', op: 'gte', value: 12 }, filledSlots), true);
+  assert.equal(evaluateCondition({ slot: 'months_ttc', op: 'lt', value: 12 }, filledSlots), false);
+  assert.equal(evaluateCondition({ op: 'is_true' }, filledSlots, 'has_partner'), true);
+});
+
+test('combinators', () => {
+  const filledSlots = { age: 36, months_ttc: 8 };
+  const overThirtyFive = { slot: 'age', op: 'gt', value: 35 };
+  const overAYear = { slot: 'months_ttc', op: 'gte', value: 12 };
+  assert.equal(evaluateCondition({ all: [overThirtyFive, overAYear] }, filledSlots), false);
+  assert.equal(evaluateCondition({ any: [overThirtyFive, overAYear] }, filledSlots), true);
+  assert.equal(evaluateCondition({ not: overAYear }, filledSlots), true);
+});
+
+test('string comparisons ignore case and surrounding spaces', () => {
+  const filledSlots = { cycle_regular: ' Irregular ', medical_conditions: ['PCOS', 'Asthma'] };
+  assert.equal(evaluateCondition({ slot: 'cycle_regular', op: 'eq', value: 'irregular' }, filledSlots), true);
+  assert.equal(evaluateCondition({ slot: 'cycle_regular', op: 'in', value: ['regular', 'irregular'] }, filledSlots), true);
+  assert.equal(evaluateCondition({ slot: 'medical_conditions', op: 'contains', value: 'pcos' }, filledSlots), true);
+  assert.equal(evaluateCondition({ slot: 'medical_conditions', op: 'contains', value: 'pc' }, filledSlots), false);
+});
+
+test('only "unanswered" holds for a slot without an answer', () => {
+  assert.equal(evaluateCondition({ slot: 'months_ttc', op: 'unanswered' }, {}), true);
+  assert.equal(evaluateCondition({ slot: 'months_ttc', op: 'lt', value: 12 }, {}), false);
+  assert.equal(evaluateCondition({ slot: 'months_ttc', op: 'answered' }, {}), false);
+  assert.equal(evaluateCondition({ slot: 'months_ttc', op: 'has_value' }, { months_ttc: null }), false);
+});
+
+test('answer states count as answered but have no value', () => {
+  const filledSlots = { partner_first_name: { answer_state: 'declined' }, partner_last_name: 'Lee' };
+  assert.equal(evaluateCondition({ slot: 'partner_first_name', op: 'answered' }, filledSlots), true);
+  assert.equal(evaluateCondition({ slot: 'partner_first_name', op: 'has_value' }, filledSlots), false);
+  assert.equal(evaluateCondition({ slot: 'partner_first_name', op: 'ne', value: 'Sam' }, filledSlots), false);
+  assert.equal(evaluateCondition({ slot: 'partner_last_name', op: 'has_value' }, filledSlots), true);
+});
+
+test('unknown operators and missing conditions are false', () => {
+  assert.equal(evaluateCondition({ slot: 'age', op: 'about', value: 30 }, { age: 30 }), false);
+  assert.equal(evaluateCondition(null, { age: 30 }), false);
+});
+
+test('yearsSince counts whole years up to the anniversary', () => {
+  const now = new Date(2026, 5, 15);
+  assert.equal(yearsSince('1990-06-15', now), 36);
+  assert.equal(yearsSince('1990-06-16', now), 35);
+  assert.equal(yearsSince('not a date', now), null);
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+process.env.SESSION_DATA_DIR = DATA_DIR;
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionStore } = require('../session_store');
+const { inferPartnerStatus } = require('../chains/routerChain');
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const newSession = () => new SessionStore().createSession();
+
+test('partner status is inferred from marital status, honouring negation', () => {
+  const extraction = (value) => ({ slotName: 'has_partner', value, confidence: 0.9 });
+
+  const married = inferPartnerStatus(extraction('married'), "I'm married");
+  assert.equal(married.value, true);
+  assert.equal(married.inferred, true);
+  assert.equal(inferPartnerStatus(extraction('single'), 'I am single').value, false);
+  assert.equal(inferPartnerStatus(extraction('not married'), "I'm not married").value, false);
+  assert.equal(inferPartnerStatus(extraction('no husband'), "I don't have a husband").value, false);
+  assert.equal(inferPartnerStatus(extraction('not single'), "I'm no longer single").value, true);
+});
+
+test('stated yes/no answers and other slots are left alone', () => {
+  const stated = { slotName: 'has_partner', value: 'yes', confidence: 0.9 };
+  const other = { slotName: 'first_name', value: 'married', confidence: 0.9 };
+  assert.equal(inferPartnerStatus(stated, 'yes, my wife'), stated);
+  assert.equal(inferPartnerStatus(other, 'married'), other);
+});
+
+test('inferred values and values in the confirmation band need confirmation', () => {
+  const { dialogManager } = newSession();
+  dialogManager.setConfirmationBand(0.7, 0.85);
+
+  assert.equal(dialogManager.needsConfirmation('inference', 0.99), true);
+  assert.equal(dialogManager.needsConfirmation('multi_extraction', 0.8), true);
+  assert.equal(dialogManager.needsConfirmation('multi_extraction', 0.85), false);
+  assert.equal(dialogManager.needsConfirmation('preprocess', null), false);
+});
+
+test('extractions are stored, held for confirmation or dropped by the band', async () => {
+  const { dialogManager } = newSession();
+  dialogManager.setConfirmationBand(0.7, 0.85);
+
+  const result = await dialogManager.processMultipleExtractions([
+    { slotName: 'first_name', value: 'Sam', confidence: 0.95 },
+    { slotName: 'last_name', value: 'Lee', confidence: 0.8 },
+    { slotName: 'email', value: 'sam@example.com', confidence: 0.5 },
+    { slotName: 'has_partner', value: true, confidence: 0.95, inferred: true }
+  ], {}, 'Sam Lee, sam@example.com, married');
+
+  assert.deepEqual(result.successfulExtractions.map(ext => ext.slotName), ['first_name']);
+  assert.deepEqual(result.uncertainExtractions.map(ext => ext.slotName), ['last_name', 'has_partner']);
+  assert.deepEqual(result.failedExtractions.map(ext => ext.slotName), ['email']);
+  assert.equal(result.updatedSlots.first_name, 'Sam');
+  assert.equal(result.updatedSlots.last_name, undefined);
+  assert.equal(result.updatedSlots.has_partner, undefined);
+});
+
+test('"yes" stores the held value and "no" asks the question again', async () => {
+  const session = newSession();
+  const { dialogManager } = session;
+  const held = () => {
+    dialogManager.queueConfirmation('weight', 60, '60', 'Extraction confidence 0.8', { method: 'single_slot_chain', confidence: 0.8 });
+    return session.pendingConfirmations[0];
+  };
+
+  const confirmed = await dialogManager.resolveConfirmation(held(), 'yes', {});
+  assert.equal(confirmed.filledSlots.weight, 60);
+  assert.equal(session.slotProvenance.weight.confirmed, true);
+  assert.deepEqual(session.pendingConfirmations, []);
+
+  const rejected = await dialogManager.resolveConfirmation(held(), 'no', {});
+  assert.equal(rejected.filledSlots.weight, undefined);
+  assert.equal(rejected.slot, 'weight');
+  assert.equal(rejected.message, dialogManager.schema.slots.weight.question);
+  assert.deepEqual(session.pendingConfirmations, []);
+});
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock fixtures in which the corrections chain is down
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+const FIXTURES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+fs.cpSync(path.join(__dirname, '..', 'fixtures', 'llm'), FIXTURES_DIR, { recursive: true });
+fs.writeFileSync(path.join(FIXTURES_DIR, 'corrections.json'), JSON.stringify({ responses: [{ match: '.', fail: 'unavailable' }] }));
+process.env.SESSION_DATA_DIR = DATA_DIR;
+process.env.LLM_FIXTURES_DIR = FIXTURES_DIR;
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_RETRY_BASE_MS = '1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionStore } = require('../session_store');
+const { LLMUnavailableError } = require('../llm_resilience');
+
+test.after(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+  fs.rmSync(FIXTURES_DIR, { recursive: true, force: true });
+});
+
+test('review corrections fail as unavailable rather than falling back to patterns', async () => {
+  const { dialogManager } = new SessionStore().createSession();
+  await assert.rejects(
+    dialogManager.applyCorrections('first name: Samantha', { first_name: 'Sam' }),
+    LLMUnavailableError
+  );
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+process.env.SESSION_DATA_DIR = DATA_DIR;
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionStore } = require('../session_store');
+const { isBareAnswer } = require('../slot_types');
+const { getAnswerState } = require('../answer_states');
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const newSession = () => new SessionStore().createSession();
+
+test('bare answers are nothing but a value of the slot type', () => {
+  const bare = [
+    ['boolean', 'Yes.'], ['boolean', 'no'], ['integer', '8 months'], ['integer', 'eight'],
+    ['quantity', '165 cm'], ['quantity', '5\'6"'], ['quantity', '5 ft 6 in'],
+    ['date', '1990-04-12'], ['date', 'April 12, 1990'], ['email', 'sam@example.com'],
+    ['phone', '(555) 123-4567'], ['list', 'None'], ['table', "that's all"]
+  ];
+  for (const [type, response] of bare) assert.equal(isBareAnswer({ type }, response), true, `${type}: ${response}`);
+
+  const sentences = [
+    ['boolean', 'I have never been pregnant'], ['boolean', 'Yes, and my partner is 40'],
+    ['integer', 'I am 35 and we have been trying for 8 months'], ['quantity', '5 and 6'],
+    ['date', 'born in 1990'], ['phone', 'call me on 555 123 4567'], ['list', 'no, but I take aspirin'],
+    ['table', 'no, but I had a miscarriage in 2019'], ['text', 'Sam']
+  ];
+  for (const [type, response] of sentences) assert.equal(isBareAnswer({ type }, response), false, `${type}: ${response}`);
+});
+
+test('enums are bare only for an exact option or alias', () => {
+  const slotConfig = { type: 'enum', options: ['female', 'male'], aliases: { f: 'female' } };
+  assert.equal(isBareAnswer(slotConfig, 'Female'), true);
+  assert.equal(isBareAnswer(slotConfig, 'f'), true);
+  assert.equal(isBareAnswer(slotConfig, 'I am female and 35'), false);
+});
+
+test('only bare answers are read without the model', () => {
+  const { dialogManager } = newSession();
+  assert.deepEqual(dialogManager.readDirectAnswer('ever_pregnant', 'no'), { value: 'no', method: 'preprocess', confidence: null });
+  assert.equal(dialogManager.readDirectAnswer('months_ttc', '8 months').value, '8 months');
+  assert.equal(dialogManager.readDirectAnswer('sex_at_birth', 'female').value, 'female');
+
+  assert.equal(dialogManager.readDirectAnswer('ever_pregnant', 'I have never been pregnant'), null);
+  assert.equal(dialogManager.readDirectAnswer('has_partner', 'I am single'), null);
+  assert.equal(dialogManager.readDirectAnswer('months_ttc', 'I am 35 and we have been trying for 8 months'), null);
+  assert.equal(dialogManager.readDirectAnswer('sex_at_birth', "I'm female, my partner is male"), null);
+  assert.equal(dialogManager.readDirectAnswer('drug_allergies', 'None').value, 'None');
+  assert.equal(dialogManager.readDirectAnswer('drug_allergies', 'No, but penicillin gives me a rash'), null);
+});
+
+test('without the model a sentence is saved raw instead of read in part', async () => {
+  const { dialogManager } = newSession();
+
+  const sentence = await dialogManager.saveRawAnswer('months_ttc', 'I am 35 and we have been trying for 8 months', {});
+  assert.equal(sentence.degraded, true);
+  assert.equal(getAnswerState(sentence.filledSlots.months_ttc), 'pending');
+  assert.equal(sentence.filledSlots.months_ttc.raw, 'I am 35 and we have been trying for 8 months');
+
+  const bare = await dialogManager.saveRawAnswer('months_ttc', '8', {});
+  assert.equal(bare.filledSlots.months_ttc, 8);
+});
@@ -0,0 +1,96 @@
+// Short backoff and cooldown, read when llm_resilience.js is loaded
+process.env.LLM_RETRY_BASE_MS = '1';
+process.env.LLM_BREAKER_THRESHOLD = '2';
+process.env.LLM_BREAKER_COOLDOWN_MS = '50';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LLMTimeoutError,
+  LLMUnavailableError,
+  callWithResilience,
+  isTransientError,
+  isCircuitOpen,
+  getCircuitStatus
+} = require('../llm_resilience');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const serverError = () => Object.assign(new Error('Service unavailable'), { status: 503 });
+
+// An attempt that fails with `errors` in turn and then returns 'ok'
+function failingAttempt(...errors) {
+  const attempt = async () => {
+    attempt.calls++;
+    const error = errors[attempt.calls - 1];
+    if (error) throw error;
+    return 'ok';
+  };
+  attempt.calls = 0;
+  return attempt;
+}
+
+test('transient errors are told apart from bad requests', () => {
+  assert.equal(isTransientError(new LLMTimeoutError('routing', 10)), true);
+  assert.equal(isTransientError(serverError()), true);
+  assert.equal(isTransientError({ status: 429 }), true);
+  assert.equal(isTransientError(Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' })), true);
+  assert.equal(isTransientError(new Error('fetch failed')), true);
+  assert.equal(isTransientError({ status: 400, message: 'Bad request' }), false);
+  assert.equal(isTransientError(new Error('Invalid API key')), false);
+});
+
+test('transient failures are retried', async () => {
+  const attempt = failingAttempt(serverError());
+  assert.equal(await callWithResilience('routing', 'retry-endpoint', attempt, { maxRetries: 1 }), 'ok');
+  assert.equal(attempt.calls, 2);
+});
+
+test('other errors fail at once', async () => {
+  const badRequest = Object.assign(new Error('Bad request'), { status: 400 });
+  const attempt = failingAttempt(badRequest);
+  await assert.rejects(callWithResilience('routing', 'bad-request-endpoint', attempt, { maxRetries: 3 }), error => error === badRequest);
+  assert.equal(attempt.calls, 1);
+});
+
+test('slow attempts time out and are aborted', async () => {
+  let aborted = false;
+  const attempt = (signal) => new Promise(() => {
+    signal.addEventListener('abort', () => { aborted = true; });
+  });
+  await assert.rejects(callWithResilience('summary', 'slow-endpoint', attempt, { timeoutMs: 10, maxRetries: 0 }), error => (
+    error instanceof LLMUnavailableError && error.cause instanceof LLMTimeoutError
+  ));
+  assert.equal(aborted, true);
+});
+
+test('the circuit opens after repeated failures and closes after a successful trial call', async () => {
+  const endpoint = 'breaker-endpoint';
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(callWithResilience('routing', endpoint, failingAttempt(serverError()), { maxRetries: 0 }), LLMUnavailableError);
+  }
+  assert.equal(isCircuitOpen(endpoint), true);
+  assert.equal(getCircuitStatus()[endpoint].state, 'open');
+
+  // Refused without calling while it cools down
+  const refused = failingAttempt();
+  await assert.rejects(callWithResilience('routing', endpoint, refused), /circuit open/);
+  assert.equal(refused.calls, 0);
+
+  await sleep(60);
+  assert.equal(isCircuitOpen(endpoint), false);
+  assert.equal(await callWithResilience('routing', endpoint, failingAttempt()), 'ok');
+  assert.deepEqual(getCircuitStatus()[endpoint], { state: 'closed', failures: 0, openedAt: null });
+});
+
+test('a failed trial call reopens the circuit without retrying', async () => {
+  const endpoint = 'trial-endpoint';
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(callWithResilience('routing', endpoint, failingAttempt(serverError()), { maxRetries: 0 }), LLMUnavailableError);
+  }
+  await sleep(60);
+
+  const trial = failingAttempt(serverError(), serverError());
+  await assert.rejects(callWithResilience('routing', endpoint, trial, { maxRetries: 3 }), LLMUnavailableError);
+  assert.equal(trial.calls, 1);
+  assert.equal(isCircuitOpen(endpoint), true);
+});
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+process.env.SESSION_DATA_DIR = DATA_DIR;
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionStore } = require('../session_store');
+const { detectNavigationIntent } = require('../navigation');
+const { getPreviousSlot, getOffPathSlots } = require('../slot_schema');
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+test('navigation commands are recognised', () => {
+  assert.equal(detectNavigationIntent('Go back'), 'back');
+  assert.equal(detectNavigationIntent('can we go back one question?'), 'back');
+  assert.equal(detectNavigationIntent('I want to change my answer to the last question'), 'back');
+  assert.equal(detectNavigationIntent('skip this'), 'skip');
+  assert.equal(detectNavigationIntent('Next question please'), 'skip');
+  assert.equal(detectNavigationIntent("I'll answer later"), 'later');
+  assert.equal(detectNavigationIntent('Can we come back to this?'), 'later');
+  assert.equal(detectNavigationIntent('Could you ask me that later?'), 'later');
+  assert.equal(detectNavigationIntent('later'), 'later');
+});
+
+test('answers that mention going back, skipping or later are answers', () => {
+  assert.equal(detectNavigationIntent('Yes, I usually do it later in the evening'), null);
+  assert.equal(detectNavigationIntent('I skip breakfast most days'), null);
+  assert.equal(detectNavigationIntent('My back hurts'), null);
+  assert.equal(detectNavigationIntent('We plan to come back to this clinic later this year'), null);
+  assert.equal(detectNavigationIntent(''), null);
+});
+
+test('the previous question is the last answered one on the path', () => {
+  const filledSlots = { chief_complaint: 'Trying to conceive', trying_to_conceive: false, has_partner: true };
+  assert.equal(getPreviousSlot('partner_first_name', filledSlots), 'has_partner');
+  assert.equal(getPreviousSlot('has_partner', filledSlots), 'trying_to_conceive');
+  assert.equal(getPreviousSlot(null, filledSlots), 'has_partner');
+  assert.equal(getPreviousSlot('first_name', {}), null);
+});
+
+test('answers a changed answer takes off the path are pruned', () => {
+  const partnered = { has_partner: true, partner_first_name: 'Alex', partner_last_name: 'Lee' };
+  assert.deepEqual(getOffPathSlots(partnered), []);
+  assert.deepEqual(getOffPathSlots({ ...partnered, has_partner: false }), ['partner_first_name', 'partner_last_name']);
+});
+
+test('going back reopens the previous question and a new answer drops the branch', async () => {
+  const { dialogManager } = new SessionStore().createSession();
+  const filledSlots = { has_partner: true, partner_first_name: 'Alex' };
+
+  const back = await dialogManager.handleNavigation('back', 'partner_last_name', 'go back', filledSlots);
+  assert.equal(back.isNavigation, true);
+  assert.match(back.message, /previous answer was \*\*Alex\*\*/);
+  assert.equal(back.filledSlots.partner_first_name, undefined);
+  assert.equal(back.filledSlots.has_partner, true);
+
+  const settled = dialogManager.settleSlots({ ...filledSlots, has_partner: false });
+  assert.equal(settled.partner_first_name, undefined);
+  assert.equal(settled.has_partner, false);
+});
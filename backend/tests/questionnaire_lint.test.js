@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { lintQuestionnaire } = require('../questionnaire_lint');
+
+const QUESTIONNAIRES_DIR = path.join(__dirname, '..', 'questionnaires');
+
+// Two sections of two slots each; `changes` edits a fresh copy
+function makeQuestionnaire(changes = () => {}) {
+  const slot = (id, next_default, extra = {}) => ({ id, question: `${id}?`, type: 'text', required: true, branches: [], next_default, ...extra });
+  const definition = {
+    id: 'test',
+    version: 1,
+    title: 'Test questionnaire',
+    sections: [
+      { id: 'about', title: 'About you', slots: ['first_name', 'has_partner'] },
+      { id: 'partner', title: 'Partner', slots: ['partner_name', 'months_ttc'] }
+    ],
+    slots: {
+      first_name: slot('first_name', 'has_partner'),
+      has_partner: slot('has_partner', null, { type: 'boolean' }),
+      partner_name: slot('partner_name', 'months_ttc', { skip_if: { slot: 'has_partner', op: 'is_false' } }),
+      months_ttc: slot('months_ttc', null, { type: 'integer', unit: 'months' })
+    }
+  };
+  changes(definition);
+  return definition;
+}
+
+test('the shipped questionnaires lint clean', () => {
+  for (const file of fs.readdirSync(QUESTIONNAIRES_DIR).filter(name => name.endsWith('.json'))) {
+    const result = lintQuestionnaire(JSON.parse(fs.readFileSync(path.join(QUESTIONNAIRES_DIR, file), 'utf-8')));
+    assert.deepEqual(result.errors, [], file);
+  }
+});
+
+test('a well-formed definition has no errors', () => {
+  assert.deepEqual(lintQuestionnaire(makeQuestionnaire()).errors, []);
+});
+
+test('missing top-level fields stop the lint early', () => {
+  const { errors } = lintQuestionnaire(makeQuestionnaire(definition => {
+    delete definition.title;
+    definition.version = 0;
+  }));
+  assert.deepEqual(errors, ['"version" must be a positive integer', 'Missing required field "title"']);
+});
+
+test('next_default and branches may not leave their section', () => {
+  const { errors } = lintQuestionnaire(makeQuestionnaire(definition => {
+    definition.slots.has_partner.next_default = 'partner_name';
+    definition.slots.first_name.branches = [{ when: { op: 'answered' }, next: 'months_ttc' }];
+  }));
+  assert.ok(errors.includes('slots.has_partner: next_default jumps to "partner_name" in another section'));
+  assert.ok(errors.includes('slots.first_name.branches[0]: jumps to "months_ttc" in another section'));
+});
+
+test('dangling targets, unknown slots in conditions and unknown types are errors', () => {
+  const { errors } = lintQuestionnaire(makeQuestionnaire(definition => {
+    definition.slots.first_name.next_default = 'middle_name';
+    definition.slots.partner_name.skip_if = { slot: 'married', op: 'is_false' };
+    definition.slots.months_ttc.type = 'duration';
+  }));
+  assert.ok(errors.includes('slots.first_name: next_default points to unknown slot "middle_name"'));
+  assert.ok(errors.some(error => error.startsWith('slots.partner_name.skip_if') && error.includes('"married"')));
+  assert.ok(errors.some(error => error.startsWith('slots.months_ttc') && error.includes('duration')));
+});
+
+test('cycles and unreachable slots are errors', () => {
+  const { errors } = lintQuestionnaire(makeQuestionnaire(definition => {
+    definition.slots.months_ttc.next_default = 'partner_name';
+    definition.sections[0].slots = ['first_name', 'has_partner'];
+    definition.slots.first_name.next_default = null;
+  }));
+  assert.ok(errors.some(error => error.startsWith('Cycle in slot graph')));
+  assert.ok(errors.includes('slots.has_partner: unreachable from any section entry'));
+});
@@ -0,0 +1,51 @@
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchRedFlagRules, detectRedFlag } = require('../red_flags');
+const { getTurnMetrics } = require('../llm_metrics');
+
+const classifierCalls = () => getTurnMetrics().parsing.safety?.calls || 0;
+
+test('keyword rules catch each category', () => {
+  const cases = {
+    heavy_bleeding: "I'm soaking through a pad every hour",
+    severe_pelvic_pain: 'I have severe pelvic pain right now',
+    ohss: "I can't pee and my belly is swollen",
+    chest_pain_or_breathing: "I'm short of breath",
+    fainting: 'I passed out this morning',
+    suicidal_ideation: "Sometimes I think I'd be better off dead"
+  };
+  for (const [category, message] of Object.entries(cases)) {
+    assert.equal(matchRedFlagRules(message)?.category, category, message);
+  }
+});
+
+test('rules ignored for a slot do not fire there', () => {
+  assert.equal(matchRedFlagRules('Heavy bleeding after my delivery', 'pregnancy_table'), null);
+  assert.equal(matchRedFlagRules('Heavy bleeding after my delivery', 'first_name')?.category, 'heavy_bleeding');
+});
+
+test('a keyword hit is returned without calling the classifier', async () => {
+  const before = classifierCalls();
+  const flag = await detectRedFlag('I passed out this morning');
+  assert.equal(flag.source, 'keyword');
+  assert.equal(classifierCalls(), before);
+});
+
+test('ordinary answers raise no flag and are not classified', async () => {
+  const before = classifierCalls();
+  assert.equal(await detectRedFlag('We have been trying for about eight months'), null);
+  assert.equal(await detectRedFlag('My wife is called Alex'), null);
+  assert.equal(await detectRedFlag('no'), null);
+  assert.equal(classifierCalls(), before);
+});
+
+test('messages the rules miss but the screen passes go to the classifier', async () => {
+  const before = classifierCalls();
+  assert.equal(await detectRedFlag('My periods are a bit painful'), null);
+  const flag = await detectRedFlag("I'm really dizzy and the room is spinning");
+  assert.equal(flag.category, 'fainting');
+  assert.equal(flag.source, 'classifier');
+  assert.equal(classifierCalls(), before + 2);
+});
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Sessions are written to a scratch directory, read when session_store.js is loaded
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+process.env.SESSION_DATA_DIR = DATA_DIR;
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { SessionStore } = require('../session_store');
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+test('sessions are kept apart', () => {
+  const store = new SessionStore();
+  const first = store.createSession();
+  const second = store.createSession('egg_freezing');
+  store.updateSession(first, { filledSlots: { first_name: 'Sarah' } });
+
+  assert.notEqual(first.id, second.id);
+  assert.deepEqual(store.getSession(second.id).filledSlots, {});
+  assert.equal(store.getSession(second.id).questionnaireId, 'egg_freezing');
+  assert.equal(store.getSession('not-a-session-id'), null);
+});
+
+test('sessions are reloaded from disk by a new store', () => {
+  const session = new SessionStore().createSession();
+  session.dialogManager.setConfirmationBand(0.6, 0.9);
+  new SessionStore().updateSession(session, { filledSlots: { first_name: 'Sarah' }, currentSlot: 'last_name', turn: 1 });
+
+  const reloaded = new SessionStore().getSession(session.id);
+  assert.notEqual(reloaded, session);
+  assert.deepEqual(reloaded.filledSlots, { first_name: 'Sarah' });
+  assert.equal(reloaded.currentSlot, 'last_name');
+  assert.deepEqual(reloaded.settings.confirmationBand, { min: 0.6, max: 0.9 });
+  assert.ok(reloaded.updatedAt instanceof Date);
+  assert.equal(reloaded.dialogManager.session, reloaded);
+});
+
+test('a reset starts the interview over but keeps the session and its settings', async () => {
+  const store = new SessionStore();
+  const session = store.createSession();
+  session.dialogManager.setContextAwareMode(true);
+  store.updateSession(session, { filledSlots: { first_name: 'Sarah' }, phase: 'review', turn: 4 });
+
+  await store.resetSession(session);
+  const reloaded = new SessionStore().getSession(session.id);
+  assert.deepEqual(reloaded.filledSlots, {});
+  assert.equal(reloaded.phase, 'interview');
+  assert.equal(reloaded.turn, 0);
+  assert.equal(reloaded.settings.contextAwareMode, true);
+});
+
+test('sessions idle past the resume window are gone', () => {
+  const store = new SessionStore();
+  const session = store.createSession();
+  store.saveSession({ ...session, updatedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) });
+
+  assert.equal(new SessionStore().getSession(session.id), null);
+  assert.equal(fs.existsSync(path.join(DATA_DIR, `${session.id}.json`)), false);
+});
+
+test('a resume token opens its session and does not contain the session id', () => {
+  const store = new SessionStore();
+  const session = store.createSession();
+  const token = store.createResumeToken(session);
+
+  assert.ok(!token.includes(session.id));
+  assert.equal(new SessionStore().getSessionForResumeToken(token).id, session.id);
+  assert.equal(store.getSessionForResumeToken(session.id), null);
+  assert.equal(store.getSessionForResumeToken(`${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`), null);
+  assert.equal(store.getSessionForResumeToken(undefined), null);
+});
+
+test('only the hash of a resume token is stored', () => {
+  const store = new SessionStore();
+  const token = store.createResumeToken(store.createSession());
+  const stored = fs.readdirSync(DATA_DIR, { recursive: true })
+    .map(name => path.join(DATA_DIR, name))
+    .filter(file => fs.statSync(file).isFile())
+    .map(file => fs.readFileSync(file, 'utf-8'));
+  assert.ok(stored.every(content => !content.includes(token)));
+});
+
+test('a new resume token replaces the last one', () => {
+  const store = new SessionStore();
+  const session = store.createSession();
+  const first = store.createResumeToken(session);
+  const second = store.createResumeToken(session);
+
+  assert.equal(store.getSessionForResumeToken(first), null);
+  assert.equal(store.getSessionForResumeToken(second).id, session.id);
+});
+
+test('resume tokens expire after they were issued', () => {
+  const store = new SessionStore();
+  const session = store.createSession();
+  const token = store.createResumeToken(session);
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  const tokenPath = store.getResumeTokenPath(tokenHash);
+  fs.writeFileSync(tokenPath, JSON.stringify({ sessionId: session.id, expiresAt: new Date(Date.now() - 1000) }));
+
+  assert.equal(store.getSessionForResumeToken(token), null);
+  assert.equal(fs.existsSync(tokenPath), false);
+});
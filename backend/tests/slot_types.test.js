@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSlotValue, formatSlotValue, isNegativeResponse, parseDate } = require('../slot_types');
+
+const valueOf = (slotConfig, raw) => {
+  const result = normalizeSlotValue(slotConfig, raw);
+  assert.equal(result.isValid, true, result.error);
+  return result.value;
+};
+
+test('dates are stored as YYYY-MM-DD and must name a day and a year', () => {
+  assert.equal(parseDate('1990-03-04'), '1990-03-04');
+  assert.equal(parseDate('03/04/1990'), '1990-03-04');
+  assert.equal(parseDate('March 4th, 1990'), '1990-03-04');
+  assert.equal(parseDate('02/30/1990'), null);
+  assert.equal(parseDate('March 1990'), null);
+  assert.equal(normalizeSlotValue({ type: 'date', not_future: true }, '2999-01-01').isValid, false);
+});
+
+test('numbers are read from digits or words, with ranges and month conversion', () => {
+  const months = { type: 'integer', unit: 'months', min: 0, max: 240 };
+  assert.equal(valueOf(months, 'about eight'), 8);
+  assert.equal(valueOf(months, '2 years'), 24);
+  assert.equal(normalizeSlotValue(months, '300').error, 'Value must be at most 240 months');
+  assert.equal(normalizeSlotValue(months, 'a while').isValid, false);
+});
+
+test('numbers in mixed or ambiguous text are left to the model', () => {
+  const months = { type: 'integer', unit: 'months', min: 0, max: 240 };
+  const days = { type: 'integer', unit: 'days', min: 10, max: 90 };
+  for (const [slotConfig, response] of [
+    [months, 'about 6 months, maybe closer to a year'],
+    [months, 'I am 35 and we have been trying for 8 months'],
+    [months, 'two and a half years'],
+    [days, 'between 28 and 35 days']
+  ]) {
+    assert.equal(normalizeSlotValue(slotConfig, response).isValid, false, response);
+  }
+});
+
+test('quantities are converted to the slot unit', () => {
+  const height = { type: 'quantity', unit: 'cm', default_unit: 'cm' };
+  const weight = { type: 'quantity', unit: 'kg', default_unit: 'kg' };
+  assert.equal(valueOf(height, '165 cm'), 165);
+  assert.equal(valueOf(height, `5'6"`), 167.6);
+  assert.equal(valueOf(height, '5 ft 6'), 167.6);
+  assert.equal(valueOf(weight, '150 lbs'), 68);
+});
+
+test('booleans read negations before affirmations', () => {
+  const boolean = { type: 'boolean' };
+  assert.equal(valueOf(boolean, 'Yes'), true);
+  assert.equal(valueOf(boolean, "I'm not"), false);
+  assert.equal(valueOf(boolean, 'I am'), true);
+  assert.equal(normalizeSlotValue(boolean, 'maybe').isValid, false);
+});
+
+test('yes/no answers lead with the answer or are a bare "I do" / "I don\'t"', () => {
+  const boolean = { type: 'boolean' };
+  assert.equal(valueOf(boolean, 'Yes, I have'), true);
+  assert.equal(valueOf(boolean, 'No, I have never smoked.'), false);
+  assert.equal(valueOf(boolean, 'Never'), false);
+  assert.equal(valueOf(boolean, "I don't"), false);
+  assert.equal(valueOf(boolean, 'I do.'), true);
+});
+
+test('yes/no sentences and contradictions are left to the model', () => {
+  const boolean = { type: 'boolean' };
+  for (const response of [
+    'I have never smoked',
+    'I have no partner',
+    'I am single',
+    'I have never been pregnant',
+    'Yes, but not anymore',
+    'No... well, yes'
+  ]) {
+    assert.equal(normalizeSlotValue(boolean, response).isValid, false, response);
+  }
+});
+
+test('enums accept options, aliases and a single mentioned option', () => {
+  const cycle = { type: 'enum', options: ['regular', 'irregular'], aliases: { 'like clockwork': 'regular' } };
+  assert.equal(valueOf(cycle, 'Irregular'), 'irregular');
+  assert.equal(valueOf(cycle, 'like clockwork'), 'regular');
+  assert.equal(valueOf(cycle, 'mostly irregular'), 'irregular');
+  assert.equal(normalizeSlotValue(cycle, 'regular or irregular').isValid, false);
+});
+
+test('lists split on separators and read "none" as empty', () => {
+  const list = { type: 'list' };
+  assert.deepEqual(valueOf(list, 'PCOS, asthma and hypothyroidism'), ['PCOS', 'asthma', 'hypothyroidism']);
+  assert.deepEqual(valueOf(list, 'None that I know of'), []);
+  assert.deepEqual(valueOf(list, [' PCOS ', '']), ['PCOS']);
+});
+
+test('table rows are checked column by column', () => {
+  const medications = {
+    type: 'table',
+    columns: { name: { type: 'text', label: 'Medication', required: true }, dose: { type: 'text', label: 'Dose' } }
+  };
+  assert.deepEqual(valueOf(medications, { name: 'Metformin' }), { rows: [{ name: 'Metformin', dose: null }], complete: false });
+  assert.equal(normalizeSlotValue(medications, [{ dose: '500 mg' }]).error, 'Missing medication');
+  assert.equal(normalizeSlotValue(medications, 'metformin').isValid, false);
+});
+
+test('contact details and text patterns', () => {
+  assert.equal(valueOf({ type: 'email' }, ' Sarah@Example.com '), 'sarah@example.com');
+  assert.equal(valueOf({ type: 'phone' }, '(555) 123-4567'), '5551234567');
+  assert.equal(normalizeSlotValue({ type: 'text', pattern: '^[a-z]+$', pattern_error: 'Letters only' }, '123').error, 'Letters only');
+  assert.equal(normalizeSlotValue({ type: 'colour' }, 'red').error, 'Unknown slot type: colour');
+});
+
+test('stored values are formatted for people', () => {
+  const medications = { type: 'table', columns: { name: { type: 'text', label: 'Medication' } } };
+  assert.equal(formatSlotValue({ type: 'boolean' }, false), 'No');
+  assert.equal(formatSlotValue({ type: 'list' }, []), 'None');
+  assert.equal(formatSlotValue({ type: 'integer', unit: 'months' }, 8), '8 months');
+  assert.equal(formatSlotValue({ type: 'text' }, { answer_state: 'unknown' }), 'Patient does not know');
+  assert.equal(formatSlotValue(medications, { rows: [{ name: 'Metformin' }] }), '| Medication |\n| --- |\n| Metformin |');
+});
+
+test('negative responses close table slots', () => {
+  for (const response of ['No', 'none', "that's all", 'Nope, nothing else']) {
+    assert.equal(isNegativeResponse(response), true, response);
+  }
+  assert.equal(isNegativeResponse('Metformin 500 mg'), false);
+});
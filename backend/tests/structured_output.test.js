@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { z } = require('zod');
+const { AIMessage } = require('@langchain/core/messages');
+const { StructuredOutputError, invokeStructured, parseStructuredOutput, extractJson } = require('../structured_output');
+
+const schema = z.object({ valid: z.boolean(), reasoning: z.string() });
+
+// A model replying with `replies` in turn and keeping the conversations it was sent
+function scriptedModel(replies) {
+  const calls = [];
+  return {
+    calls,
+    async invoke(conversation) {
+      calls.push(conversation);
+      return new AIMessage(replies[calls.length - 1]);
+    }
+  };
+}
+
+test('JSON is found inside markdown fences and prose', () => {
+  assert.equal(extractJson('```json\n{"valid": true}\n```'), '{"valid": true}');
+  assert.equal(extractJson('Here you go: {"valid": true} Hope that helps.'), '{"valid": true}');
+});
+
+test('replies are parsed from messages or taken as already parsed', () => {
+  const expected = { valid: true, reasoning: 'ok' };
+  assert.deepEqual(parseStructuredOutput('validation', new AIMessage(JSON.stringify(expected)), schema), expected);
+  assert.deepEqual(parseStructuredOutput('validation', expected, schema), expected);
+});
+
+test('unusable replies are rejected with the reason', () => {
+  assert.throws(() => parseStructuredOutput('validation', 'no JSON here', schema), error => (
+    error instanceof StructuredOutputError && error.reason === 'invalid_json' && error.rawOutput === 'no JSON here'
+  ));
+  assert.throws(() => parseStructuredOutput('validation', '{"valid": "yes"}', schema), error => (
+    error instanceof StructuredOutputError
+    && error.reason === 'schema_mismatch'
+    && error.issues.some(issue => issue.startsWith('valid:'))
+  ));
+});
+
+test('an invalid reply is sent back once with what was wrong', async () => {
+  const model = scriptedModel(['{"valid": true}', '{"valid": true, "reasoning": "fixed"}']);
+  const result = await invokeStructured('validation', model, 'Check this value', schema);
+
+  assert.deepEqual(result, { valid: true, reasoning: 'fixed' });
+  assert.equal(model.calls.length, 2);
+  const repairRequest = model.calls[1].at(-1).content;
+  assert.match(repairRequest, /reasoning/);
+  assert.equal(model.calls[1].at(-2).content, '{"valid": true}');
+});
+
+test('a reply still invalid after the repair is thrown', async () => {
+  const model = scriptedModel(['nope', 'still nope']);
+  await assert.rejects(invokeStructured('validation', model, 'Check this value', schema), error => (
+    error instanceof StructuredOutputError && error.attempts === 2
+  ));
+  assert.equal(model.calls.length, 2);
+});
+
+test('other errors are thrown as they are', async () => {
+  const networkError = new Error('socket hang up');
+  const model = { invoke: async () => { throw networkError; } };
+  await assert.rejects(invokeStructured('validation', model, 'Check this value', schema), error => error === networkError);
+});
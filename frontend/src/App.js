@@ -6,11 +6,23 @@ import character from "./assets/character.png";
 import logo from "./assets/EMDLogo.png";
 import careteamimg from "./assets/care-team.png";
 
+// Invite links select the questionnaire (treatment pathway) with ?questionnaire=<id>
+function getInvitedQuestionnaireId() {
+  return new URLSearchParams(window.location.search).get("questionnaire") || undefined;
+}
+
+// Link that reopens this interview later (?resume=<signed token>)
+function getResumeLink(resumeToken) {
+  return `${window.location.origin}${window.location.pathname}?resume=${encodeURIComponent(resumeToken)}`;
+}
+
 function App() {
   // Core state
   const [input, setInput] = useState("");
   const [chat, setChat] = useState([]);
   const [loading, setLoading] = useState(false);
+  // The backend can't reach the model: questions are asked as written and answers saved for later
+  const [degraded, setDegraded] = useState(false);
   const [patientInfo, setPatientInfo] = useState("");
 
   // Modal states
@@ -36,6 +48,10 @@ function App() {
     isReview: false,
     currentSlot: null,
     filledSlots: {},
+    sessionId: null,
+    resumeToken: null,
+    questionnaireId: getInvitedQuestionnaireId(),
+    questionnaire: null,
     summary: null,
     retryCount: 0
   });
@@ -66,6 +82,56 @@ function App() {
     fetchSystemPrompt();
   }, []);
 
+  // Resume an interview from a "continue later" link: replay the transcript and
+  // continue with the next unanswered question
+  useEffect(() => {
+    const resumeToken = new URLSearchParams(window.location.search).get("resume");
+    if (!resumeToken) return;
+
+    async function resumeInterview() {
+      setLoading(true);
+      try {
+        const apiUrl = process.env.NODE_ENV === 'production'
+          ? 'https://medical-history-interviewer.onrender.com'
+          : (process.env.REACT_APP_API_URL || 'http://localhost:8000');
+
+        const res = await fetch(`${apiUrl}/api/resume`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ token: resumeToken }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP error! status: ${res.status}`);
+
+        setInterviewState(prev => ({
+          ...prev,
+          isStarted: true,
+          sessionId: data.sessionId,
+          resumeToken: data.resumeToken,
+          isReview: data.isReview || false,
+          isComplete: data.isComplete || false,
+          currentSlot: data.slot ?? null,
+          filledSlots: data.filledSlots || {},
+          summary: data.summary || null,
+          questionnaire: data.questionnaire || null
+        }));
+
+        const nextMessage = data.isComplete
+          ? "Welcome back! Your interview is already complete. Here is your summary:\n\n" + data.summary
+          : "Welcome back! Let's continue where you left off.\n\n" + data.message;
+        setChat([...data.transcript, { from: "bot", text: nextMessage }]);
+      } catch (error) {
+        console.error("Error resuming interview:", error);
+        setChat([{
+          from: "bot",
+          text: error.message || "I couldn't reopen your interview. Please start a new one."
+        }]);
+      }
+      setLoading(false);
+    }
+    resumeInterview();
+  }, []);
+
   // Handle chat scroll and input focus
   useEffect(() => {
     const scrollAndFocus = async () => {
@@ -80,6 +146,26 @@ function App() {
     scrollAndFocus();
   }, [chat, interviewState.isComplete]);
 
+  // Send changed agent settings, patient info or system prompt to the running
+  // interview (new interviews get them when they start)
+  async function updateSessionConfig(changes) {
+    if (!interviewState.sessionId) return;
+    try {
+      const apiUrl = process.env.NODE_ENV === 'production'
+        ? 'https://medical-history-interviewer.onrender.com'
+        : (process.env.REACT_APP_API_URL || 'http://localhost:8000');
+
+      const res = await fetch(`${apiUrl}/api/session-config`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ sessionId: interviewState.sessionId, ...changes }),
+      });
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+    } catch (error) {
+      console.error('Error updating session config:', error);
+    }
+  }
+
   // System prompt handlers
   async function handleSavePrompt() {
     try {
@@ -101,6 +187,7 @@ function App() {
 
       const data = await response.json();
       setSystemPrompt(data.prompt);
+      await updateSessionConfig({ systemPrompt: data.prompt });
       setIsSystemPromptOpen(false);
     } catch (error) {
       console.error('Error saving system prompt:', error);
@@ -127,9 +214,16 @@ function App() {
   // Agent settings handlers
   function handleSaveAgentSettings() {
     setAgentSettings(editedSettings);
+    updateSessionConfig({ agentSettings: editedSettings });
     setIsAgentSettingsOpen(false);
   }
 
+  // Patient info is sent to the running interview when the modal closes
+  function handleClosePatientInfo() {
+    updateSessionConfig({ patientInfo });
+    setIsPatientContextOpen(false);
+  }
+
   // Start the interview
   const startInterview = async () => {
     setLoading(true);
@@ -142,8 +236,10 @@ function App() {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
-          currentSlot: null,
-          filledSlots: {}
+          questionnaireId: interviewState.questionnaireId,
+          agentSettings,
+          patientInfo,
+          ...(systemPrompt && { systemPrompt })
         }),
       });
 
@@ -153,14 +249,20 @@ function App() {
       setInterviewState(prev => ({
         ...prev,
         isStarted: true,
+        sessionId: data.sessionId,
+        resumeToken: data.resumeToken,
         isReview: data.isReview || false,
         currentSlot: data.slot ?? null,
-        filledSlots: {}
+        filledSlots: {},
+        questionnaire: data.questionnaire || null
       }));
 
       setChat([{
         from: "bot",
-        text: "Hello! I'm your medical interviewer today. I'll be asking you a series of questions about your medical history. Let's begin.\n\n" + data.message
+        text: "Hello! I'm your medical interviewer today. I'll be asking you a series of questions about your medical history"
+          + (data.questionnaire ? ` for your ${data.questionnaire.title}` : "")
+          + ". You can pause at any time and [continue later from this link](" + getResumeLink(data.resumeToken) + ")."
+          + " Let's begin.\n\n" + data.message
       }]);
     } catch (error) {
       console.error("Error starting interview:", error);
@@ -172,15 +274,65 @@ function App() {
     setLoading(false);
   };
 
+  // After the interview, messages are questions for the assistant, answered
+  // from the clinic's approved video scripts with the cited sources below
+  async function askQuestion(question) {
+    try {
+      const apiUrl = process.env.NODE_ENV === 'production'
+        ? 'https://medical-history-interviewer.onrender.com'
+        : (process.env.REACT_APP_API_URL || 'http://localhost:8000');
+
+      const history = chat
+        .filter(msg => msg.isQuestionAnswer)
+        .map(({ from, text }) => ({ from, text }));
+
+      const res = await fetch(`${apiUrl}/api/ask`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ question, history, sessionId: interviewState.sessionId }),
+      });
+
+      if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        const requestError = new Error(errorData.error || `HTTP error! status: ${res.status}`);
+        requestError.degraded = Boolean(errorData.degraded);
+        throw requestError;
+      }
+      const data = await res.json();
+
+      setChat(prev => [...prev, {
+        from: "bot",
+        text: data.answer,
+        sources: data.sources,
+        isQuestionAnswer: true,
+        isUrgent: data.isUrgent
+      }]);
+    } catch (error) {
+      console.error("Error asking question:", error);
+      setChat(prev => [...prev, {
+        from: "bot",
+        text: error.degraded
+          ? error.message
+          : "I'm sorry, I couldn't answer that right now. Please try again, or reach out to your care team."
+      }]);
+    }
+    setLoading(false);
+  }
+
   // Handle sending messages
   async function sendMessage() {
     if (!input.trim() || loading) return;
     
     const userResponse = input.trim();
-    setChat(prev => [...prev, { from: "user", text: userResponse }]);
+    setChat(prev => [...prev, { from: "user", text: userResponse, isQuestionAnswer: interviewState.isComplete }]);
     setInput("");
     setLoading(true);
 
+    if (interviewState.isComplete) {
+      await askQuestion(userResponse);
+      return;
+    }
+
     try {
       const apiUrl = process.env.NODE_ENV === 'production'
         ? 'https://medical-history-interviewer.onrender.com'
@@ -190,19 +342,27 @@ function App() {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
-          currentSlot: interviewState.currentSlot,
-          response: userResponse,
-          filledSlots: interviewState.filledSlots,
-          phase: interviewState.isReview ? 'review' : undefined
+          sessionId: interviewState.sessionId,
+          response: userResponse
         }),
       });
 
       if (!res.ok) {
         const errorData = await res.json().catch(() => ({ error: "Server error" }));
-        throw new Error(errorData.error || `HTTP error! status: ${res.status}`);
+        const requestError = new Error(errorData.error || `HTTP error! status: ${res.status}`);
+        requestError.shouldReprompt = Boolean(errorData.shouldReprompt);
+        requestError.degraded = Boolean(errorData.degraded);
+        throw requestError;
       }
       
       const data = await res.json();
+      setDegraded(Boolean(data.degraded));
+
+      if (data.isUrgent) {
+        // Urgent symptoms: the urgent-care message on its own, then the interview continues
+        setChat(prev => [...prev, { from: "bot", text: data.urgentMessage, isUrgent: true }]);
+        data.message = data.resumePrompt;
+      }
 
       if (!data.success && data.shouldReprompt) {
         // Handle reprompt
@@ -217,8 +377,8 @@ function App() {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-              currentSlot: null,
-              filledSlots: interviewState.filledSlots
+              sessionId: interviewState.sessionId,
+              skip: true
             }),
           });
           
@@ -227,7 +387,9 @@ function App() {
           
           setInterviewState(prev => ({
             ...prev,
-            currentSlot: skipData.slot,
+            currentSlot: skipData.slot ?? null,
+            filledSlots: skipData.filledSlots || prev.filledSlots,
+            isReview: skipData.isReview || false,
             retryCount: 0
           }));
           
@@ -265,7 +427,7 @@ function App() {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-              filledSlots: data.filledSlots
+              sessionId: interviewState.sessionId
             }),
           });
 
@@ -285,22 +447,48 @@ function App() {
         setChat(prev => [...prev, {
           from: "bot",
           text: "Thank you for completing the interview. Here is a summary of your information:\n\n" + summaryText
+            + "\n\nIf you have any questions about your treatment, feel free to ask them here."
         }]);
       } else {
+        // Next question (also used when approval sends the patient back for missing answers)
         setInterviewState(prev => ({
           ...prev,
+          isReview: false,
           currentSlot: data.slot,
           filledSlots: data.filledSlots,
           retryCount: 0
         }));
 
+        if (data.isPatientQuestion) {
+          // An answer to the patient's own question, then the pending question again
+          setChat(prev => [
+            ...prev,
+            { from: "bot", text: data.answer, sources: data.sources },
+            { from: "bot", text: data.resumePrompt }
+          ]);
+        } else {
+          setChat(prev => [...prev, {
+            from: "bot",
+            text: data.message
+          }]);
+        }
+      }
+    } catch (error) {
+      console.error("Error in interview:", error);
+      setDegraded(Boolean(error.degraded));
+
+      // Server and network errors are not the patient's answer: say so and let
+      // them send it again, without counting towards skipping the question
+      if (!error.shouldReprompt) {
         setChat(prev => [...prev, {
           from: "bot",
-          text: data.message
+          text: error.degraded
+            ? error.message
+            : "I'm having technical difficulties. Please try again in a moment."
         }]);
+        setLoading(false);
+        return;
       }
-    } catch (error) {
-      console.error("Error in interview:", error);
       
       // If we've tried too many times, skip this question
       if (interviewState.retryCount >= 2) {
@@ -313,8 +501,8 @@ function App() {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-              currentSlot: null,
-              filledSlots: interviewState.filledSlots
+              sessionId: interviewState.sessionId,
+              skip: true
             }),
           });
           
@@ -322,7 +510,9 @@ function App() {
             const skipData = await skipRes.json();
             setInterviewState(prev => ({
               ...prev,
-              currentSlot: skipData.slot,
+              currentSlot: skipData.slot ?? null,
+              filledSlots: skipData.filledSlots || prev.filledSlots,
+              isReview: skipData.isReview || false,
               retryCount: 0
             }));
             
@@ -333,6 +523,7 @@ function App() {
               from: "bot",
               text: skipData.message
             }]);
+            setLoading(false);
             return;
           }
         } catch (skipError) {
@@ -347,9 +538,7 @@ function App() {
       
       setChat(prev => [...prev, {
         from: "bot",
-        text: error.message === "Server error" 
-          ? "I'm having technical difficulties. Please try again in a moment."
-          : error.message || "I couldn't understand your response. Please provide a clearer answer or ask for clarification if needed."
+        text: error.message || "I couldn't understand your response. Please provide a clearer answer or ask for clarification if needed."
       }]);
     }
     setLoading(false);
@@ -547,7 +736,7 @@ function App() {
         <div className="ModalContent">
           <button 
             className="ModalCloseButton"
-            onClick={() => setIsPatientContextOpen(false)}
+            onClick={handleClosePatientInfo}
           >
             <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
@@ -582,7 +771,7 @@ function App() {
             </button>
             <button 
               className="ModalButton primary" 
-              onClick={() => setIsPatientContextOpen(false)}
+              onClick={handleClosePatientInfo}
             >
               Close
             </button>
@@ -605,7 +794,7 @@ function App() {
                     <img src={character} alt="Bot" className="BrandAvatar" />
                   )}
                   <div
-                    className={`ChatBubble ${msg.from === "user" ? "ChatBubbleUser" : "ChatBubbleBot"}`}
+                    className={`ChatBubble ${msg.from === "user" ? "ChatBubbleUser" : "ChatBubbleBot"}${msg.isUrgent ? " ChatBubbleUrgent" : ""}`}
                   >
                     <span style={{ fontWeight: 600 }}>
                       {msg.from === "user" ? "You: " : ""}
@@ -613,6 +802,16 @@ function App() {
                     <ReactMarkdown remarkPlugins={[remarkGfm]}>
                       {msg.text}
                     </ReactMarkdown>
+                    {msg.sources?.length > 0 && (
+                      <div className="SourceList">
+                        <span className="SourceListTitle">Sources</span>
+                        <ol>
+                          {msg.sources.map(source => (
+                            <li key={source.number} value={source.number}>{source.source}</li>
+                          ))}
+                        </ol>
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
@@ -634,6 +833,12 @@ function App() {
         </div>
 
         <div className="BottomSection">
+          {degraded && !interviewState.isComplete && (
+            <div className="DegradedBanner" role="status">
+              The assistant is having technical difficulties. Questions are asked as written and
+              your answers are saved to be processed as soon as it is back.
+            </div>
+          )}
           {chat.length > 0 && !interviewState.isComplete && (
             <form
               className="ChatForm"